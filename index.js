@@ -2,10 +2,24 @@
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import http from "http";
+import os from "os";
 
 // Date validation helper function
 function validateDateString(dateString, paramName) {
@@ -32,40 +46,542 @@ function validateDateString(dateString, paramName) {
   return dateString;
 }
 
-// Simple in-memory cache for comprehensive analyses
+// Minimal JSON Schema check covering the keywords used by the response
+// schemas below (type, enum, pattern, minimum/maximum, required, properties,
+// items). Returns a list of { path, message } errors; empty means valid.
+function validateSchema(value, schema, path = "$") {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+
+  const actual = describeType(value);
+
+  if (!matchesSchemaType(value, types)) {
+    errors.push({ path, message: `expected ${types.join(" or ")}, got ${actual}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(", ")}` });
+  }
+  if (schema.pattern && typeof value === "string" && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `must match pattern ${schema.pattern}` });
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: "is required" });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (actual === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesSchemaType(value, types) {
+  const actual = describeType(value);
+  return types.length === 0 || types.some(type => type === actual || (type === "number" && actual === "integer"));
+}
+
+// Best-effort conversion of a scalar to one of the schema types; undefined
+// when no sensible conversion exists
+function coerceType(value, types, schema) {
+  for (const type of types) {
+    if (type === "string" && (typeof value === "number" || typeof value === "boolean")) {
+      return String(value);
+    }
+    if ((type === "integer" || type === "number") && typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) {
+      return type === "integer" ? Math.round(Number(value)) : Number(value);
+    }
+    if (type === "integer" && typeof value === "number" && Number.isFinite(value)) {
+      return Math.round(value);
+    }
+    if (type === "boolean" && (value === "true" || value === "false")) {
+      return value === "true";
+    }
+    if (type === "array" && typeof value === "string" && schema.items?.type === "string") {
+      return [value];
+    }
+  }
+  return undefined;
+}
+
+// "High", "very high" and "Main Story" map onto "high", "high" and "main_story"
+function normalizeEnumValue(value, allowed) {
+  if (typeof value !== "string") return undefined;
+  const normalized = value.trim().toLowerCase().replace(/[\s-]+/g, "_");
+  if (allowed.includes(normalized)) return normalized;
+  const words = normalized.split("_");
+  return allowed.find(option => words.includes(option));
+}
+
+// Turns ISO timestamps and dates such as "June 24, 2025" into YYYY-MM-DD;
+// null for anything without an explicit year ("last Tuesday")
+function normalizeDateValue(value) {
+  const isoPrefix = value.match(/^(\d{4}-\d{2}-\d{2})T/);
+  if (isoPrefix) return isoPrefix[1];
+  if (!/\b\d{4}\b/.test(value)) return null;
+
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+}
+
+// Coerces value towards schema, recording each change in report.coerced and
+// each dropped field or array item in report.removed. Returns { ok, value };
+// ok is false when the value cannot be salvaged and the caller should drop
+// it. Missing required fields of the root object are only recorded in
+// report.missing since the response builders fill those in.
+function coerceToSchema(value, schema, path, report, isRoot = false) {
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+  let current = value;
+
+  if (!matchesSchemaType(current, types)) {
+    const coerced = coerceType(current, types, schema);
+    if (coerced === undefined) {
+      return { ok: false, reason: `expected ${types.join(" or ")}, got ${describeType(current)}` };
+    }
+    report.coerced.push({ path, issue: `expected ${types.join(" or ")}, got ${describeType(current)}`, original: current, value: coerced });
+    current = coerced;
+  }
+
+  if (schema.enum && !schema.enum.includes(current)) {
+    const normalized = normalizeEnumValue(current, schema.enum);
+    const replacement = normalized ?? schema.default;
+    if (replacement === undefined) {
+      return { ok: false, reason: `must be one of: ${schema.enum.join(", ")}` };
+    }
+    report.coerced.push({
+      path,
+      issue: normalized !== undefined ? "normalized enum value" : `unknown value, defaulted (allowed: ${schema.enum.join(", ")})`,
+      original: current,
+      value: replacement
+    });
+    current = replacement;
+  }
+
+  if (schema.pattern && typeof current === "string" && !new RegExp(schema.pattern).test(current)) {
+    const normalized = schema.pattern === ISO_DATE_PATTERN ? normalizeDateValue(current) : null;
+    if (!normalized) {
+      return { ok: false, reason: `must match pattern ${schema.pattern}` };
+    }
+    report.coerced.push({ path, issue: "normalized date format", original: current, value: normalized });
+    current = normalized;
+  }
+
+  if (typeof current === "number") {
+    const clamped = Math.min(Math.max(current, schema.minimum ?? -Infinity), schema.maximum ?? Infinity);
+    if (clamped !== current) {
+      report.coerced.push({ path, issue: "out of range, clamped", original: current, value: clamped });
+      current = clamped;
+    }
+  }
+
+  if (describeType(current) === "object") {
+    const result = { ...current };
+    for (const key of schema.required || []) {
+      if (result[key] !== undefined) continue;
+      const propertySchema = schema.properties?.[key] || {};
+      if (propertySchema.default !== undefined) {
+        result[key] = propertySchema.default;
+        report.coerced.push({ path: `${path}.${key}`, issue: "missing, defaulted", original: null, value: propertySchema.default });
+      } else if (isRoot) {
+        report.missing.push({ path: `${path}.${key}`, reason: "missing required field" });
+      } else {
+        return { ok: false, reason: `missing required field ${key}` };
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (result[key] === undefined) continue;
+      const child = coerceToSchema(result[key], propertySchema, `${path}.${key}`, report);
+      if (child.ok) {
+        result[key] = child.value;
+      } else if ((schema.required || []).includes(key) && !isRoot) {
+        return { ok: false, reason: `${key}: ${child.reason}` };
+      } else {
+        delete result[key];
+        report.removed.push({ path: `${path}.${key}`, reason: child.reason, original: current[key] });
+      }
+    }
+    current = result;
+  }
+
+  if (describeType(current) === "array" && schema.items) {
+    const items = [];
+    current.forEach((item, index) => {
+      const child = coerceToSchema(item, schema.items, `${path}[${index}]`, report);
+      if (child.ok) {
+        items.push(child.value);
+      } else {
+        report.removed.push({ path: `${path}[${index}]`, reason: child.reason, original: item });
+      }
+    });
+    current = items;
+  }
+
+  return { ok: true, value: current };
+}
+
+// Stable short identifier for a cache key, used for file names and by cache_admin
+function cacheEntryId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+// Converts a cache_admin pattern into a case-insensitive matcher: "*" and "?"
+// are wildcards over the whole query, otherwise the pattern is a substring
+function compileQueryPattern(pattern) {
+  if (!/[*?]/.test(pattern)) {
+    const needle = pattern.toLowerCase();
+    return query => query.toLowerCase().includes(needle);
+  }
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  const regex = new RegExp(`^${source}$`, 'i');
+  return query => regex.test(query);
+}
+
+// File-based persistence for SearchCache: one JSON file per entry so the
+// cache survives stdio server restarts. File mtimes record last access so
+// LRU order is kept across restarts too.
+class FileCacheStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  fileFor(key) {
+    return path.join(this.directory, `${cacheEntryId(key)}.json`);
+  }
+
+  loadAll() {
+    const entries = [];
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+      const filePath = path.join(this.directory, file);
+      try {
+        const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (typeof entry.key === 'string' && entry.data !== undefined) {
+          entry.lastAccess = fs.statSync(filePath).mtimeMs;
+          entries.push(entry);
+        }
+      } catch (error) {
+        // Corrupt or partially written entry - drop it
+        fs.rmSync(filePath, { force: true });
+      }
+    }
+    return entries.sort((a, b) => a.lastAccess - b.lastAccess);
+  }
+
+  write(entry) {
+    const filePath = this.fileFor(entry.key);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(entry));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  touch(key) {
+    const now = new Date();
+    try {
+      fs.utimesSync(this.fileFor(key), now, now);
+    } catch (error) {
+      // Entry file removed externally - nothing to update
+    }
+  }
+
+  delete(key) {
+    fs.rmSync(this.fileFor(key), { force: true });
+  }
+
+  clear() {
+    for (const file of fs.readdirSync(this.directory)) {
+      if (file.endsWith('.json') || file.endsWith('.tmp')) {
+        fs.rmSync(path.join(this.directory, file), { force: true });
+      }
+    }
+  }
+}
+
+// LRU search result cache with per-entry TTLs, entry and byte limits, pinning
+// and an optional FileCacheStore backend. Map insertion order is recency
+// order: the first key is the least recently used.
 class SearchCache {
-  constructor(maxSize = 100, ttlMinutes = 30) {
+  constructor(options = {}) {
+    const { maxSize = 100, ttlMinutes = 30, maxBytes = 10 * 1024 * 1024, directory = null } = options;
     this.cache = new Map();
     this.maxSize = maxSize;
     this.ttl = ttlMinutes * 60 * 1000;
+    this.maxBytes = maxBytes;
+    this.totalBytes = 0;
+    this.stats = { hits: 0, stale_hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, invalidations: 0 };
+    this.store = null;
+
+    if (directory) {
+      try {
+        this.store = new FileCacheStore(directory);
+        this.loadFromStore();
+      } catch (error) {
+        this.store = null;
+        Logger.warn("Persistent cache unavailable, using memory only", { directory, error: error.message });
+      }
+    }
   }
 
-  get(key) {
+  loadFromStore() {
+    const now = Date.now();
+    for (const entry of this.store.loadAll()) {
+      if (!entry.pinned && now > (entry.staleUntil ?? entry.expiresAt)) {
+        this.store.delete(entry.key);
+        continue;
+      }
+      this.cache.set(entry.key, entry);
+      this.totalBytes += entry.size;
+    }
+    this.enforceLimits();
+  }
+
+  // Returns { data, stale, ageMs } for entries that are fresh or still inside
+  // their stale window, or null on a miss. Pinned entries never expire; past
+  // their TTL they are reported as stale.
+  lookup(key) {
     const item = this.cache.get(key);
-    if (!item) return null;
+    if (!item) {
+      this.stats.misses++;
+      return null;
+    }
     
-    if (Date.now() - item.timestamp > this.ttl) {
-      this.cache.delete(key);
+    const now = Date.now();
+    if (!item.pinned && now > (item.staleUntil ?? item.expiresAt)) {
+      this.remove(key);
+      this.stats.expirations++;
+      this.stats.misses++;
       return null;
     }
     
-    return item.data;
+    this.touch(key, item);
+
+    const stale = now > item.expiresAt;
+    if (stale) {
+      this.stats.stale_hits++;
+    } else {
+      this.stats.hits++;
+    }
+    return { data: item.data, stale, ageMs: now - item.timestamp };
+  }
+
+  get(key) {
+    const item = this.lookup(key);
+    return item && !item.stale ? item.data : null;
   }
 
-  set(key, data) {
-    if (this.cache.size >= this.maxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+  // Marks an entry as most recently used
+  touch(key, item) {
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    if (this.store) {
+      this.store.touch(key);
     }
-    
-    this.cache.set(key, {
+  }
+
+  set(key, data, options = {}) {
+    const { ttlMs = this.ttl, staleTtlMs = 0, meta = {} } = options;
+    const size = Buffer.byteLength(JSON.stringify(data));
+    if (size > this.maxBytes) {
+      Logger.warn("Cache entry exceeds byte limit, not caching", { size, maxBytes: this.maxBytes });
+      return;
+    }
+
+    // Refreshing a pinned entry keeps it pinned
+    const pinned = this.cache.get(key)?.pinned || false;
+    if (this.cache.has(key)) {
+      this.remove(key);
+    }
+
+    const timestamp = Date.now();
+    const entry = {
+      key,
       data,
-      timestamp: Date.now()
-    });
+      timestamp,
+      expiresAt: timestamp + ttlMs,
+      staleUntil: timestamp + ttlMs + staleTtlMs,
+      size,
+      pinned,
+      meta
+    };
+
+    this.cache.set(key, entry);
+    this.totalBytes += size;
+    this.stats.sets++;
+    this.enforceLimits();
+
+    if (this.cache.has(key)) {
+      this.persist(entry);
+    }
+  }
+
+  persist(entry) {
+    if (!this.store) return;
+    try {
+      this.store.write(entry);
+    } catch (error) {
+      Logger.warn("Failed to persist cache entry", { error: error.message });
+    }
+  }
+
+  // Evicts least recently used unpinned entries until both limits hold
+  enforceLimits() {
+    while (this.cache.size > this.maxSize || this.totalBytes > this.maxBytes) {
+      let victim = null;
+      for (const [key, item] of this.cache) {
+        if (!item.pinned) {
+          victim = key;
+          break;
+        }
+      }
+      if (victim === null) {
+        Logger.warn("Cache over limit but every entry is pinned", {
+          entries: this.cache.size,
+          bytes: this.totalBytes
+        });
+        return;
+      }
+      this.remove(victim);
+      this.stats.evictions++;
+    }
+  }
+
+  remove(key) {
+    const item = this.cache.get(key);
+    if (!item) return false;
+    this.cache.delete(key);
+    this.totalBytes -= item.size;
+    if (this.store) {
+      this.store.delete(key);
+    }
+    return true;
+  }
+
+  // Yields [key, item] pairs matching every given filter; ids are cacheEntryId values
+  *matchEntries({ ids = null, pattern = null, queryPrefix = null, searchType = null } = {}) {
+    const matchesPattern = pattern ? compileQueryPattern(pattern) : null;
+    const prefix = queryPrefix ? queryPrefix.toLowerCase() : null;
+
+    for (const [key, item] of [...this.cache.entries()]) {
+      const meta = item.meta || {};
+      const query = meta.query || '';
+      if (ids && !ids.includes(cacheEntryId(key))) continue;
+      if (matchesPattern && !matchesPattern(query)) continue;
+      if (prefix && !query.toLowerCase().startsWith(prefix)) continue;
+      if (searchType && meta.searchType !== searchType) continue;
+      yield [key, item];
+    }
+  }
+
+  // Drop entries matching the filters (see matchEntries). With no filters
+  // nothing is removed unless all is set; pinned entries are kept unless
+  // includePinned is set.
+  invalidate({ all = false, includePinned = false, ...filters } = {}) {
+    const hasFilter = Object.values(filters).some(value => value);
+    if (!all && !hasFilter) return 0;
+
+    let removed = 0;
+    for (const [key, item] of this.matchEntries(filters)) {
+      if (item.pinned && !includePinned) continue;
+      this.remove(key);
+      removed++;
+    }
+    this.stats.invalidations += removed;
+    return removed;
+  }
+
+  setPinned(filters, pinned) {
+    let changed = 0;
+    for (const [, item] of this.matchEntries(filters)) {
+      if (item.pinned === pinned) continue;
+      item.pinned = pinned;
+      this.persist(item);
+      changed++;
+    }
+    if (!pinned) {
+      this.enforceLimits();
+    }
+    return changed;
+  }
+
+  // Entries from most to least recently used
+  list(filters = {}) {
+    const now = Date.now();
+    return [...this.matchEntries(filters)].reverse().map(([key, item]) => ({
+      id: cacheEntryId(key),
+      query: item.meta?.query || null,
+      search_type: item.meta?.searchType || null,
+      analysis_mode: item.meta?.analysisMode || null,
+      age_seconds: Math.round((now - item.timestamp) / 1000),
+      expires_in_seconds: Math.round((item.expiresAt - now) / 1000),
+      stale: now > item.expiresAt,
+      size_bytes: item.size,
+      pinned: !!item.pinned
+    }));
+  }
+
+  getStats() {
+    const hits = this.stats.hits + this.stats.stale_hits;
+    const lookups = hits + this.stats.misses;
+    let pinned = 0;
+    for (const item of this.cache.values()) {
+      if (item.pinned) pinned++;
+    }
+    return {
+      entries: this.cache.size,
+      pinned,
+      max_entries: this.maxSize,
+      bytes: this.totalBytes,
+      max_bytes: this.maxBytes,
+      persistent: !!this.store,
+      directory: this.store ? this.store.directory : null,
+      hit_rate: lookups > 0 ? ((hits / lookups) * 100).toFixed(2) + "%" : "N/A",
+      ...this.stats
+    };
   }
 
   clear() {
+    const removed = this.cache.size;
     this.cache.clear();
+    this.totalBytes = 0;
+    if (this.store) {
+      this.store.clear();
+    }
+    this.stats.invalidations += removed;
+    return removed;
   }
 }
 
@@ -93,797 +609,5146 @@ class Logger {
   static debug(message, data) { this.log('debug', message, data); }
 }
 
-// Grok Search API Integration
-class GrokSearchAPI {
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function formatMetricLabels(labels = {}) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// Minimal Prometheus registry: labelled counters and histograms rendered in
+// the text exposition format. Point-in-time values (cache size, circuit
+// state, ...) are passed to render() as extra metric families.
+class MetricsRegistry {
   constructor() {
-    this.baseURL = "https://api.x.ai/v1";
-    this.apiKey = process.env.XAI_API_KEY;
-    this.cache = new SearchCache();
-    this.requestTimeout = parseInt(process.env.GROK_TIMEOUT || '30000');
-    this.maxRetries = parseInt(process.env.GROK_MAX_RETRIES || '3');
-    this.isHealthy = true;
-    
-    // Graceful handling instead of process.exit
-    if (!this.apiKey) {
-      this.isHealthy = false;
-      Logger.error("XAI_API_KEY environment variable is required");
+    this.families = new Map();
+  }
+
+  define(name, type, help, buckets = null) {
+    if (!this.families.has(name)) {
+      this.families.set(name, { name, type, help, buckets, series: new Map() });
     }
+    return this.families.get(name);
   }
 
-  checkHealth() {
-    return {
-      healthy: this.isHealthy,
-      hasApiKey: !!this.apiKey,
-      cacheSize: this.cache.cache.size,
-      lastError: this.lastError || null
-    };
+  counter(name, help) {
+    return this.define(name, "counter", help);
   }
 
-  async makeRequest(endpoint, data, retryCount = 0) {
-    if (!this.isHealthy) {
-      throw new Error("API service is not healthy - missing XAI_API_KEY");
+  histogram(name, help, buckets = DURATION_BUCKETS) {
+    return this.define(name, "histogram", help, buckets);
+  }
+
+  series(name, labels, create) {
+    const family = this.families.get(name);
+    if (!family) throw new Error(`Unknown metric: ${name}`);
+    const key = formatMetricLabels(labels);
+    if (!family.series.has(key)) {
+      family.series.set(key, { labels, ...create(family) });
     }
+    return family.series.get(key);
+  }
 
-    const url = `${this.baseURL}${endpoint}`;
-    const startTime = Date.now();
-    
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(data),
-        signal: controller.signal
-      });
+  inc(name, labels = {}, value = 1) {
+    this.series(name, labels, () => ({ value: 0 })).value += value;
+  }
 
-      clearTimeout(timeoutId);
-      const duration = Date.now() - startTime;
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        const error = new Error(`API request failed: ${response.status} - ${errorText}`);
-        
-        // Retry on server errors (5xx) or rate limits (429)
-        if ((response.status >= 500 || response.status === 429) && retryCount < this.maxRetries) {
-          const backoffDelay = Math.min(1000 * Math.pow(2, retryCount), 10000);
-          Logger.warn(`Request failed, retrying in ${backoffDelay}ms`, { 
-            status: response.status, 
-            attempt: retryCount + 1,
-            maxRetries: this.maxRetries 
+  observe(name, labels = {}, value) {
+    const series = this.series(name, labels, family => ({
+      counts: family.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    const family = this.families.get(name);
+    family.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // extraFamilies: [{ name, type, help, samples: [{ labels, value }] }]
+  render(extraFamilies = []) {
+    const lines = [];
+    for (const family of this.families.values()) {
+      lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+      for (const series of family.series.values()) {
+        if (family.type === "histogram") {
+          family.buckets.forEach((bound, index) => {
+            lines.push(`${family.name}_bucket${formatMetricLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
           });
-          
-          await new Promise(resolve => setTimeout(resolve, backoffDelay));
-          return this.makeRequest(endpoint, data, retryCount + 1);
+          lines.push(`${family.name}_bucket${formatMetricLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+          lines.push(`${family.name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+          lines.push(`${family.name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+        } else {
+          lines.push(`${family.name}${formatMetricLabels(series.labels)} ${series.value}`);
         }
-        
-        this.lastError = error.message;
-        throw error;
-      }
-
-      Logger.debug(`API request successful`, { duration, endpoint });
-      return await response.json();
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        const timeoutError = new Error(`Request timeout after ${this.requestTimeout}ms`);
-        this.lastError = timeoutError.message;
-        throw timeoutError;
       }
-      
-      // Retry on network errors
-      if (retryCount < this.maxRetries && !error.message.includes('API request failed:')) {
-        const backoffDelay = Math.min(1000 * Math.pow(2, retryCount), 10000);
-        Logger.warn(`Network error, retrying in ${backoffDelay}ms`, { 
-          error: error.message, 
-          attempt: retryCount + 1 
-        });
-        
-        await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        return this.makeRequest(endpoint, data, retryCount + 1);
+    }
+    for (const family of extraFamilies) {
+      lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+      for (const sample of family.samples) {
+        lines.push(`${family.name}${formatMetricLabels(sample.labels)} ${sample.value}`);
       }
-      
-      this.lastError = error.message;
-      throw new Error(`Failed to make API request: ${error.message}`);
     }
+    return lines.join("\n") + "\n";
   }
+}
 
-  async search(query, searchType = "web", maxResults = 10, handles = null, fromDate = null, toDate = null, analysisMode = "basic") {
-    // Enhanced input validation and sanitization
-    if (!query || typeof query !== 'string') {
-      throw new Error("Search query must be a non-empty string");
-    }
-    
-    const sanitizedQuery = query.trim().replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-    if (sanitizedQuery.length === 0) {
-      throw new Error("Search query cannot be empty after sanitization");
-    }
-    
-    if (sanitizedQuery.length > 1000) {
-      throw new Error("Search query too long (max 1000 characters)");
-    }
+// Process-wide metrics, shared by every session of an HTTP server
+const metrics = new MetricsRegistry();
+const PROCESS_START_TIME = Date.now();
+metrics.counter("grok_tool_requests_total", "MCP tool calls by tool and outcome");
+metrics.histogram("grok_tool_duration_seconds", "MCP tool call latency in seconds");
+metrics.counter("grok_upstream_requests_total", "xAI API attempts by HTTP status, timeout or network_error");
+metrics.histogram("grok_upstream_duration_seconds", "xAI API attempt latency in seconds");
+metrics.counter("grok_upstream_retries_total", "xAI API retries by reason");
+metrics.counter("grok_api_key_failovers_total", "Requests moved to another API key after 401, 403 or 429");
+metrics.counter("grok_parse_strategy_total", "Search responses by the JSON extraction strategy that succeeded, or fallback");
+metrics.counter("grok_tokens_total", "Tokens used by type");
+metrics.counter("grok_sources_used_total", "Live search sources used");
+metrics.counter("grok_cost_usd_total", "Estimated API cost in USD");
 
-    // Check cache for comprehensive analyses
-    if (analysisMode === "comprehensive") {
-      const cacheKey = `${sanitizedQuery}:${searchType}:${maxResults}:${JSON.stringify(handles)}:${fromDate}:${toDate}:comprehensive`;
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        Logger.debug("Cache hit for comprehensive analysis", { query: sanitizedQuery });
-        return cached;
-      }
-    }
-    // Validate date parameters
-    const validatedFromDate = validateDateString(fromDate, "from_date");
-    const validatedToDate = validateDateString(toDate, "to_date");
-    
-    // Check date logic - from_date should be before or equal to to_date
-    if (validatedFromDate && validatedToDate) {
-      const fromDateObj = new Date(validatedFromDate);
-      const toDateObj = new Date(validatedToDate);
-      if (fromDateObj > toDateObj) {
-        throw new Error("from_date must be before or equal to to_date");
-      }
-    }
-    
-    // Create a search-focused system prompt
-    const systemPrompt = this.getSearchSystemPrompt(searchType, analysisMode);
-    
-    // Build search parameters
-    const searchParams = {
-      mode: "on",
-      return_citations: true,
-      max_search_results: maxResults,
-      sources: this.getSearchSources(searchType, handles)
-    };
-    
-    // Add date filters if provided
-    if (validatedFromDate) {
-      searchParams.from_date = validatedFromDate;
-    }
-    if (validatedToDate) {
-      searchParams.to_date = validatedToDate;
-    }
-    
-    const requestData = {
-      model: "grok-3-latest",
-      messages: [
-        {
-          role: "system",
-          content: systemPrompt
-        },
-        {
-          role: "user",
-          content: `Please search for: "${sanitizedQuery}" and return the results in JSON format as specified.`
-        }
-      ],
-      max_tokens: analysisMode === "comprehensive" ? 4000 : 2000,
-      temperature: 0.1,
-      stream: false,
-      search_parameters: searchParams
-    };
+const DEFAULT_BASE_URL = "https://api.x.ai/v1";
+const ANALYSIS_MODES = ["basic", "comprehensive"];
+const SEARCH_TYPES = ["web", "news", "general", "twitter", "x"];
+const CACHE_MODES = ["bypass", "refresh", "prefer"];
+const MODELS_CACHE_TTL_MS = 60 * 60 * 1000;
 
-    try {
-      const response = await this.makeRequest("/chat/completions", requestData);
-      const results = this.parseSearchResults(response, sanitizedQuery, maxResults, analysisMode);
-      
-      // Cache comprehensive analyses
-      if (analysisMode === "comprehensive" && results) {
-        const cacheKey = `${sanitizedQuery}:${searchType}:${maxResults}:${JSON.stringify(handles)}:${fromDate}:${toDate}:comprehensive`;
-        this.cache.set(cacheKey, results);
+// Top-level response sections reported in streaming progress notifications
+const BASIC_SECTIONS = ["results", "summary"];
+const COMPREHENSIVE_SECTIONS = [
+  "comprehensive_analysis",
+  "key_findings",
+  "timeline",
+  "direct_quotes",
+  "related_context",
+  "multiple_perspectives",
+  "implications",
+  "verification_status",
+  "raw_results",
+  "summary"
+];
+const PROGRESS_CHUNK_STEP = 50;
+const MAX_REPAIR_ERRORS = 20;
+
+// JSON schemas for the response formats described in the system prompts,
+// sent as response_format in structured output mode
+const ISO_DATE_PATTERN = "^\\d{4}-\\d{2}-\\d{2}$";
+
+const BASIC_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["results", "summary"],
+  properties: {
+    results: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["title", "snippet", "url", "source"],
+        properties: {
+          title: { type: "string" },
+          snippet: { type: "string" },
+          url: { type: "string" },
+          source: { type: "string" },
+          published_date: { type: "string", pattern: ISO_DATE_PATTERN },
+          author: { type: ["string", "null"] }
+        }
       }
-      
-      return results;
-    } catch (error) {
-      Logger.error("Search failed", { query: sanitizedQuery, error: error.message });
-      throw new Error(`Search failed: ${error.message}`);
-    }
+    },
+    summary: { type: "string" }
   }
+};
 
-  getSearchSources(searchType, handles = null) {
-    switch (searchType) {
-      case "web":
-        return [{"type": "web"}];
-      case "news":
-        return [{"type": "news"}, {"type": "web"}];
-      case "twitter":
-      case "x":
-        const xSource = {"type": "x"};
-        if (handles && handles.length > 0) {
-          xSource.x_handles = handles;
+const COMPREHENSIVE_RESPONSE_SCHEMA = {
+  type: "object",
+  required: [
+    "analysis_mode",
+    "comprehensive_analysis",
+    "key_findings",
+    "timeline",
+    "direct_quotes",
+    "multiple_perspectives",
+    "verification_status",
+    "raw_results",
+    "summary"
+  ],
+  properties: {
+    query: { type: "string" },
+    analysis_mode: { type: "string", enum: ["comprehensive"] },
+    comprehensive_analysis: { type: "string" },
+    key_findings: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["category", "title", "content", "confidence"],
+        properties: {
+          category: { type: "string", enum: ["main_story", "development", "context", "impact"], default: "context" },
+          title: { type: "string" },
+          content: { type: "string" },
+          sources: { type: "array", items: { type: "string" } },
+          confidence: { type: "string", enum: ["high", "medium", "low"], default: "low" }
         }
-        return [xSource];
-      case "general":
-      default:
-        return [{"type": "web"}, {"type": "news"}, {"type": "x"}];
-    }
+      }
+    },
+    timeline: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["date", "event"],
+        properties: {
+          date: { type: "string", pattern: ISO_DATE_PATTERN },
+          event: { type: "string" },
+          source: { type: "string" },
+          significance: { type: "string" }
+        }
+      }
+    },
+    direct_quotes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["quote", "speaker"],
+        properties: {
+          quote: { type: "string" },
+          speaker: { type: "string" },
+          context: { type: "string" },
+          source_url: { type: "string" },
+          significance: { type: "string" }
+        }
+      }
+    },
+    related_context: { type: "string" },
+    multiple_perspectives: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["viewpoint", "content"],
+        properties: {
+          viewpoint: { type: "string" },
+          content: { type: "string" },
+          sources: { type: "array", items: { type: "string" } },
+          reasoning: { type: "string" }
+        }
+      }
+    },
+    implications: {
+      type: "object",
+      properties: {
+        short_term: { type: "string" },
+        long_term: { type: "string" },
+        stakeholders_affected: { type: "array", items: { type: "string" } }
+      }
+    },
+    verification_status: {
+      type: "object",
+      properties: {
+        confirmed_facts: { type: "array", items: { type: "string" } },
+        unconfirmed_claims: { type: "array", items: { type: "string" } },
+        contradictory_information: { type: "array", items: { type: "string" } }
+      }
+    },
+    raw_results: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["title", "url"],
+        properties: {
+          title: { type: "string" },
+          snippet: { type: "string" },
+          url: { type: "string" },
+          relevance_score: { type: "integer", minimum: 1, maximum: 10 }
+        }
+      }
+    },
+    summary: { type: "string" }
   }
+};
 
-  getSearchSystemPrompt(searchType, analysisMode = "basic") {
-    if (analysisMode === "comprehensive") {
-      return this.getComprehensiveSystemPrompt(searchType);
+// Parsed answers are coerced against a lenient copy of the basic schema: a
+// result that only has a title is kept, since parseSearchResults fills in
+// url and source from the citations
+const BASIC_COERCION_SCHEMA = {
+  ...BASIC_RESPONSE_SCHEMA,
+  properties: {
+    ...BASIC_RESPONSE_SCHEMA.properties,
+    results: {
+      ...BASIC_RESPONSE_SCHEMA.properties.results,
+      items: { ...BASIC_RESPONSE_SCHEMA.properties.results.items, required: ["title"] }
     }
-    
-    const basePrompt = `Provide current, accurate information about the following topic using live search data. Format your response as JSON with this exact structure:
-{
-  "results": [
-    {
-      "title": "Article title or tweet content preview",
-      "snippet": "Brief summary or full tweet text (max 280 characters for tweets)",
-      "url": "Source URL or tweet URL",
-      "source": "Source name or Twitter handle",
-      "published_date": "YYYY-MM-DD",
-      "author": "Author name or Twitter handle (for tweets)"
+  }
+};
+
+// Fresh lifetime of cached results in minutes, per search type; "historical"
+// applies to date ranges that ended before today
+const DEFAULT_CACHE_TTLS = {
+  news: 10,
+  twitter: 5,
+  web: 60,
+  general: 15,
+  historical: 24 * 60
+};
+
+// Parses "news=5,web=120" into { news: 5, web: 120 }
+function parseCacheTtls(spec) {
+  const ttls = {};
+  if (!spec) return ttls;
+
+  for (const pair of spec.split(',')) {
+    const [name, value] = pair.split('=').map(part => part && part.trim());
+    const minutes = parseFloat(value);
+    if (name && Number.isFinite(minutes) && minutes >= 0) {
+      ttls[name] = minutes;
+    } else {
+      Logger.warn("Ignoring invalid GROK_CACHE_TTLS entry", { entry: pair });
     }
-  ],
-  "summary": "Brief overview of findings"
-}`;
-    
-    switch (searchType) {
-      case "news":
-        return basePrompt + `\n\nFocus on recent news articles and current events. Prioritize the most recent information.`;
-      case "web":
-        return basePrompt + `\n\nSearch across general web content including articles, blogs, and informational pages.`;
-      case "twitter":
-      case "x":
-        return basePrompt + `\n\nSearch Twitter/X posts and tweets. Include the full tweet text in the snippet field, the author's handle, and tweet URL if available. Focus on recent posts and engagement.`;
-      case "general":
-      default:
-        return basePrompt + `\n\nProvide comprehensive search results from various web sources including news, articles, and social media.`;
+  }
+  return ttls;
+}
+
+// Live search accepts at most five allowed or excluded websites per source
+const MAX_WEBSITE_FILTERS = 5;
+const WEBSITE_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z0-9]$/;
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+
+// Accepts bare domains or URLs ("https://example.com/path") and returns
+// lowercase, de-duplicated hostnames
+function normalizeWebsiteList(list, name) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    throw new Error(`${name} must be an array of domains`);
+  }
+
+  const websites = [];
+  for (const entry of list) {
+    const host = typeof entry === "string" ?
+      entry.trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, "").split(/[/?#]/)[0].replace(/\.$/, "") :
+      "";
+    if (!WEBSITE_PATTERN.test(host)) {
+      throw new Error(`${name} contains an invalid domain: ${JSON.stringify(entry)}`);
     }
+    if (!websites.includes(host)) websites.push(host);
   }
+  return websites;
+}
 
-  getComprehensiveSystemPrompt(searchType) {
-    const comprehensivePrompt = `You are a comprehensive research analyst. Provide deep, detailed analysis of the search topic using live search data. Your response must be in JSON format with this exact structure:
+// Each feed becomes its own rss source
+const MAX_RSS_FEEDS = 5;
+const MAX_FEED_URL_LENGTH = 2048;
 
-{
-  "query": "original search query",
-  "analysis_mode": "comprehensive",
-  "comprehensive_analysis": "A detailed 500+ word analysis providing deep context, background, and implications. Include specific details, dates, numbers, and concrete information.",
-  "key_findings": [
-    {
-      "category": "main_story|development|context|impact",
-      "title": "Specific finding title",
-      "content": "Detailed explanation with specifics, numbers, dates",
-      "sources": ["url1", "url2"],
-      "confidence": "high|medium|low"
+// Accepts absolute http(s) feed URLs on a public domain and returns them
+// normalized (without fragment) and de-duplicated
+function normalizeFeedList(list, name) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    throw new Error(`${name} must be an array of feed URLs`);
+  }
+
+  const feeds = [];
+  for (const entry of list) {
+    let url = null;
+    try {
+      url = typeof entry === "string" ? new URL(entry.trim()) : null;
+    } catch (error) {
+      url = null;
     }
-  ],
-  "timeline": [
-    {
-      "date": "YYYY-MM-DD",
-      "event": "Specific event description",
-      "source": "Source name",
-      "significance": "Why this event matters"
+    if (!url || !["http:", "https:"].includes(url.protocol) || url.username || url.password ||
+        !WEBSITE_PATTERN.test(url.hostname) || url.href.length > MAX_FEED_URL_LENGTH) {
+      throw new Error(`${name} contains an invalid feed URL: ${JSON.stringify(entry)}`);
     }
-  ],
-  "direct_quotes": [
-    {
-      "quote": "Exact quote from source",
-      "speaker": "Speaker name and title",
-      "context": "When and where this was said",
-      "source_url": "Source URL",
-      "significance": "Why this quote is important"
+    url.hash = "";
+    if (!feeds.includes(url.href)) feeds.push(url.href);
+  }
+  return feeds;
+}
+
+// The site a feed publishes, e.g. "vendor.com" for https://feeds.vendor.com/blog.xml
+function feedSite(feedUrl) {
+  return new URL(feedUrl).hostname.replace(/^(?:www|feeds?|rss)\./, "");
+}
+
+// The x source accepts at most ten included or excluded handles; longer
+// inclusion lists are split across several requests
+const MAX_X_HANDLES = 10;
+const X_HANDLE_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+const X_PROFILE_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:x|twitter)\.com\//i;
+
+// Accepts "name", "@name" and x.com / twitter.com profile or post URLs and
+// returns bare handles, de-duplicated case-insensitively
+function normalizeXHandles(list, name) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    throw new Error(`${name} must be an array of X handles`);
+  }
+
+  const handles = [];
+  const seen = new Set();
+  for (const entry of list) {
+    let handle = typeof entry === "string" ? entry.trim() : "";
+    if (X_PROFILE_URL_PATTERN.test(handle)) {
+      handle = handle.replace(X_PROFILE_URL_PATTERN, "").split(/[/?#]/)[0];
     }
-  ],
-  "related_context": "Historical background, related events, and broader context that helps understand the topic",
-  "multiple_perspectives": [
-    {
-      "viewpoint": "Perspective group (e.g., supporters, critics, experts)",
-      "content": "What this group thinks/says about the topic",
-      "sources": ["url1", "url2"],
-      "reasoning": "Why this group holds this position"
+    handle = handle.replace(/^@/, "");
+    if (!X_HANDLE_PATTERN.test(handle)) {
+      throw new Error(`${name} contains an invalid X handle: ${JSON.stringify(entry)}`);
     }
-  ],
-  "implications": {
-    "short_term": "Immediate consequences and effects",
-    "long_term": "Potential long-term impacts and outcomes",
-    "stakeholders_affected": ["Group 1", "Group 2", "Group 3"]
-  },
-  "verification_status": {
-    "confirmed_facts": ["Verified information with sources"],
-    "unconfirmed_claims": ["Claims that need verification"],
-    "contradictory_information": ["Conflicting reports or information"]
-  },
-  "raw_results": [
-    {
-      "title": "Source article title",
-      "snippet": "Brief description",
-      "url": "Source URL",
-      "relevance_score": 1-10
+    if (!seen.has(handle.toLowerCase())) {
+      seen.add(handle.toLowerCase());
+      handles.push(handle);
     }
-  ],
-  "summary": "Executive summary of the entire analysis",
-  "total_results": 10,
-  "search_time": "ISO timestamp",
-  "source": "grok-comprehensive-analysis"
+  }
+  return handles;
 }
 
-CRITICAL INSTRUCTIONS:
-1. Extract SPECIFIC details: exact dates, numbers, names, locations
-2. Include DIRECT QUOTES with full attribution
-3. Create a TIMELINE of events with precise dates
-4. Analyze MULTIPLE PERSPECTIVES from different stakeholders
-5. Provide HISTORICAL CONTEXT and background
-6. Identify IMPLICATIONS and consequences
-7. Verify information status and note contradictions
-8. Be comprehensive but accurate - do not invent information`;
+// Snowflake IDs carry their creation time in milliseconds since this epoch;
+// posts from before November 2010 have plain sequential IDs
+const X_SNOWFLAKE_EPOCH_MS = 1288834974657n;
+const X_FIRST_SNOWFLAKE_ID = 29700859247n;
+const X_HOST_PATTERN = /^(?:(?:www|m|mobile)\.)?(?:x|twitter)\.com$/;
+const X_STATUS_PATH_PATTERN = /^\/(?:([A-Za-z0-9_]{1,15})|i\/web)\/status(?:es)?\/(\d{1,20})(?:\/|$)/;
 
-    switch (searchType) {
-      case "news":
-        return comprehensivePrompt + `\n\nFOCUS: Recent news events, breaking developments, and current affairs. Emphasize timeline analysis, official statements, and evolving situation updates.`;
-      case "web":
-        return comprehensivePrompt + `\n\nFOCUS: General web content analysis including articles, blogs, and informational sources. Emphasize factual accuracy and diverse source perspectives.`;
-      case "twitter":
-      case "x":
-        return comprehensivePrompt + `\n\nFOCUS: Social media analysis including tweet sentiment, trending topics, and public opinion. Include influencer perspectives and viral content analysis.`;
-      case "general":
-      default:
-        return comprehensivePrompt + `\n\nFOCUS: Comprehensive analysis across all source types - news, web content, and social media. Provide the most complete picture possible.`;
-    }
+// Handle, status ID, creation time and canonical URL of an X post link, or
+// null when the URL does not point at a post. "/i/status/<id>" links carry
+// no handle.
+function parseXStatusUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(typeof url === "string" ? url.trim() : "");
+  } catch (error) {
+    return null;
   }
+  if (!["http:", "https:"].includes(parsed.protocol) || !X_HOST_PATTERN.test(parsed.hostname)) return null;
 
-  parseSearchResults(response, query, maxResults, analysisMode = "basic") {
-    try {
-      const content = response.choices?.[0]?.message?.content || "";
-      const citations = response.citations || [];
-      
-      // Enhanced citation processing
-      const citationMetadata = this.processCitations(citations);
-      
-      // Enhanced JSON parsing with multiple strategies
-      let parsedResults = null;
-      const jsonParsingStrategies = [
-        // Strategy 1: Find complete JSON object
-        () => {
-          const jsonMatch = content.match(/\{[\s\S]*\}/);
-          return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
-        },
-        // Strategy 2: Find JSON between code blocks
-        () => {
-          const codeBlockMatch = content.match(/```json\s*([\s\S]*?)\s*```/);
-          return codeBlockMatch ? JSON.parse(codeBlockMatch[1]) : null;
-        },
-        // Strategy 3: Find JSON after specific markers
-        () => {
-          const markerMatch = content.match(/(?:json|JSON|response):\s*(\{[\s\S]*\})/);
-          return markerMatch ? JSON.parse(markerMatch[1]) : null;
-        },
-        // Strategy 4: Clean and try parsing the entire content
-        () => {
-          const cleaned = content.replace(/^[^{]*/, '').replace(/[^}]*$/, '');
-          return cleaned.startsWith('{') ? JSON.parse(cleaned) : null;
-        }
-      ];
+  const match = X_STATUS_PATH_PATTERN.exec(parsed.pathname);
+  if (!match) return null;
+  const handle = match[1] && match[1].toLowerCase() !== "i" ? match[1] : null;
+  const statusId = match[2].replace(/^0+(?=\d)/, "");
+  return {
+    handle,
+    status_id: statusId,
+    posted_at: snowflakeTimestamp(statusId),
+    canonical_url: `https://x.com/${handle ? handle.toLowerCase() : "i"}/status/${statusId}`
+  };
+}
 
-      for (const strategy of jsonParsingStrategies) {
-        try {
-          parsedResults = strategy();
-          if (parsedResults) break;
-        } catch (error) {
-          // Continue to next strategy
-          continue;
-        }
-      }
-      
-      let results = [];
-      let summary = "";
-      let finalResponse = {};
-      
-      if (parsedResults) {
-        // Check if this is a comprehensive analysis response
-        if (analysisMode === "comprehensive" && parsedResults.analysis_mode === "comprehensive") {
-          // Handle comprehensive analysis response
-          finalResponse = {
-            query: query,
-            analysis_mode: "comprehensive",
-            comprehensive_analysis: parsedResults.comprehensive_analysis || "",
-            key_findings: parsedResults.key_findings || [],
-            timeline: parsedResults.timeline || [],
-            direct_quotes: parsedResults.direct_quotes || [],
-            related_context: parsedResults.related_context || "",
-            multiple_perspectives: parsedResults.multiple_perspectives || [],
-            implications: parsedResults.implications || {},
-            verification_status: parsedResults.verification_status || {},
-            raw_results: parsedResults.raw_results || parsedResults.results || [],
-            summary: parsedResults.summary || "",
-            total_results: (parsedResults.raw_results || parsedResults.results || []).length,
-            search_time: new Date().toISOString(),
-            source: "grok-comprehensive-analysis",
-            citations: citations,
-            citation_metadata: citationMetadata
-          };
-        } else if (parsedResults.results) {
-          // Handle basic JSON response
-          results = parsedResults.results.slice(0, maxResults);
-          summary = parsedResults.summary || "";
-          
-          // Enhanced results with better citation mapping
-          results = results.map((result, index) => {
-            const enhancedResult = { ...result };
-            
-            // Enhanced citation handling
-            if (citations.length > 0) {
-              // Use provided URL or map to citation
-              enhancedResult.url = result.url || citations[index] || citations[0];
-              
-              // Add citation metadata
-              const citationIndex = result.url ? 
-                citations.findIndex(cite => cite === result.url) : 
-                Math.min(index, citations.length - 1);
-                
-              if (citationIndex >= 0) {
-                enhancedResult.citation_url = citations[citationIndex];
-                enhancedResult.citation_index = citationIndex;
-                enhancedResult.citation_metadata = citationMetadata[citationIndex] || null;
-              }
-            }
-            
-            // Ensure all required fields
-            enhancedResult.source = result.source || "web-search";
-            enhancedResult.published_date = result.published_date || new Date().toISOString().split('T')[0];
-            
-            return enhancedResult;
-          });
+// Creation time of a snowflake ID as an ISO string; null for pre-snowflake
+// IDs and for IDs that would lie in the future
+function snowflakeTimestamp(statusId) {
+  const id = BigInt(statusId);
+  if (id < X_FIRST_SNOWFLAKE_ID) return null;
+  const ms = Number((id >> 22n) + X_SNOWFLAKE_EPOCH_MS);
+  return ms > Date.now() + 24 * 60 * 60 * 1000 ? null : new Date(ms).toISOString();
+}
 
-          finalResponse = {
-            query: query,
-            analysis_mode: analysisMode,
-            results: results,
-            citations: citations,
-            citation_metadata: citationMetadata,
-            summary: summary,
-            total_results: results.length,
-            search_time: new Date().toISOString(),
-            source: "grok-live-search"
-          };
-        } else {
-          // Parsed JSON but unexpected format
-          finalResponse = this.createFallbackResponse(query, content, citations, citationMetadata, analysisMode);
-        }
-      } else {
-        // No valid JSON found - create fallback response
-        finalResponse = this.createFallbackResponse(query, content, citations, citationMetadata, analysisMode);
-      }
-      
-      return finalResponse;
+// Handles named in a free-text author field: "@name" mentions, or the whole
+// field when it is a bare handle such as "atrupar". A mention must start the
+// field or follow whitespace or "(", so e-mail addresses are not read as one
+function authorHandles(author) {
+  if (typeof author !== "string") return [];
+  const mentions = [...author.matchAll(/(?:^|[\s(])@([A-Za-z0-9_]{1,15})\b/g)].map(match => match[1].toLowerCase());
+  if (mentions.length > 0) return mentions;
+  const bare = author.trim();
+  return X_HANDLE_PATTERN.test(bare) ? [bare.toLowerCase()] : [];
+}
+
+// Query parameters that only record where a click came from
+const TRACKING_PARAM_PATTERN = /^(?:utm_.+|fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|igshid|ref_src|ref_url|_ga)$/i;
+// Share parameters X appends to post links
+const X_SHARE_PARAMS = ["s", "t"];
+const HOST_ALIASES = { "twitter.com": "x.com" };
+const VARIANT_HOST_PREFIX = /^(?:www|m|mobile|amp)\./;
+
+// Canonical form of a cited URL, so that the same page cited over http and
+// https, with tracking parameters, through an AMP cache, AMP or mobile
+// variant, or on twitter.com and x.com compares equal. Returns null for
+// empty input and the trimmed input when it is not an http(s) URL.
+function canonicalizeUrl(url) {
+  if (typeof url !== "string" || !url.trim()) return null;
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return url.trim();
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return url.trim();
+
+  // AMP caches carry the original address in their path
+  const ampCache = parsed.hostname.endsWith(".cdn.ampproject.org") ? /^\/[cv]\/(?:s\/)?(.+)$/.exec(parsed.pathname) :
+    /^(?:www\.)?google\.[a-z.]+$/.test(parsed.hostname) ? /^\/amp\/(?:s\/)?(.+)$/.exec(parsed.pathname) :
+    null;
+  if (ampCache) {
+    return canonicalizeUrl(`https://${ampCache[1]}${parsed.search}`);
+  }
+
+  // Photo, analytics and share suffixes all lead to the same post
+  const xPost = parseXStatusUrl(parsed.href);
+  if (xPost) {
+    return xPost.canonical_url;
+  }
+
+  let host = parsed.hostname.replace(/\.$/, "");
+  const withoutPrefix = host.replace(VARIANT_HOST_PREFIX, "");
+  if (withoutPrefix.includes(".")) host = withoutPrefix;
+  host = HOST_ALIASES[host] || host;
+
+  let pathname = parsed.pathname
+    .replace(/^\/amp(?=\/)/, "")
+    .replace(/\/amp\/?$/, "")
+    .replace(/\.amp(?=\.html?$)/, "")
+    .replace(/\/+$/, "");
+  // Handles are case-insensitive, so X paths are too
+  if (host === "x.com") pathname = pathname.toLowerCase();
+
+  const params = [...parsed.searchParams]
+    .filter(([name, value]) =>
+      !TRACKING_PARAM_PATTERN.test(name) &&
+      name !== "amp" &&
+      !(name.toLowerCase() === "outputtype" && value === "amp") &&
+      !(host === "x.com" && X_SHARE_PARAMS.includes(name))
+    )
+    .sort(([a], [b]) => a.localeCompare(b));
+  const search = params.length > 0 ? `?${new URLSearchParams(params)}` : "";
+
+  return `https://${host}${parsed.port ? `:${parsed.port}` : ""}${pathname}${search}`;
+}
+
+const API_KEY_STRATEGIES = ["round-robin", "least-used"];
+
+// Statuses that mean "this key cannot be used right now" rather than "the
+// request is bad", so the next key in the pool is tried straight away
+const KEY_FAILOVER_STATUSES = [401, 403, 429];
+
+// Invalid or forbidden keys rarely recover quickly
+const AUTH_FAILURE_COOLDOWN_MS = 15 * 60 * 1000;
+
+function maskApiKey(key) {
+  if (key.length <= 12) return `****${key.slice(-2)}`;
+  return `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Reads keys from config, XAI_API_KEYS (comma-separated), a keys file (one
+// key per line, # comments allowed) or XAI_API_KEY, in that order
+function loadApiKeys(config = {}) {
+  if (config.apiKeys) return config.apiKeys;
+  if (config.apiKey) return [config.apiKey];
+
+  const keys = [];
+  if (process.env.XAI_API_KEYS) {
+    keys.push(...process.env.XAI_API_KEYS.split(','));
+  }
+  if (process.env.XAI_API_KEYS_FILE) {
+    try {
+      const lines = fs.readFileSync(process.env.XAI_API_KEYS_FILE, 'utf8').split(/\r?\n/);
+      keys.push(...lines.filter(line => !line.trim().startsWith('#')).flatMap(line => line.split(',')));
     } catch (error) {
-      throw new Error(`Failed to parse search results: ${error.message}`);
+      Logger.error("Cannot read XAI_API_KEYS_FILE", { file: process.env.XAI_API_KEYS_FILE, error: error.message });
     }
   }
+  if (keys.length === 0 && process.env.XAI_API_KEY) {
+    keys.push(process.env.XAI_API_KEY);
+  }
+  return keys;
+}
 
-  createFallbackResponse(query, content, citations, citationMetadata, analysisMode) {
-    const fallbackResults = [{
-      title: `Search results for: ${query}`,
-      snippet: content.substring(0, 500) + (content.length > 500 ? "..." : ""),
-      url: citations[0] || null,
-      source: "grok-live-search",
-      published_date: new Date().toISOString().split('T')[0],
-      citation_url: citations[0] || null,
-      citation_index: citations.length > 0 ? 0 : null,
-      citation_metadata: citationMetadata[0] || null
-    }];
+// Pool of API keys with separate quotas. Keys that are rejected or rate
+// limited cool down before they are handed out again.
+class ApiKeyPool {
+  constructor(keys = [], { strategy = "round-robin", cooldownMs = 60000 } = {}) {
+    const unique = [...new Set(keys.map(key => key.trim()).filter(Boolean))];
+    this.keys = unique.map((key, index) => ({
+      id: index,
+      key,
+      masked: maskApiKey(key),
+      requests: 0,
+      errors: 0,
+      lastStatus: null,
+      lastUsed: null,
+      cooldownUntil: 0
+    }));
+    this.strategy = API_KEY_STRATEGIES.includes(strategy) ? strategy : "round-robin";
+    this.cooldownMs = cooldownMs;
+    this.nextIndex = 0;
+  }
 
-    if (analysisMode === "comprehensive") {
-      return {
-        query: query,
-        analysis_mode: "comprehensive",
-        comprehensive_analysis: content.length > 100 ? content : "Unable to extract comprehensive analysis from response",
-        key_findings: [],
-        timeline: [],
-        direct_quotes: [],
-        related_context: "Analysis could not be properly extracted from the response",
-        multiple_perspectives: [],
-        implications: {},
-        verification_status: {
-          confirmed_facts: [],
-          unconfirmed_claims: [],
-          contradictory_information: []
-        },
-        raw_results: fallbackResults,
-        summary: "Raw search results from Grok (comprehensive analysis parsing failed)",
-        total_results: 1,
-        search_time: new Date().toISOString(),
-        source: "grok-comprehensive-analysis-fallback",
-        citations: citations,
-        citation_metadata: citationMetadata
-      };
+  get size() {
+    return this.keys.length;
+  }
+
+  isCoolingDown(entry, now = Date.now()) {
+    return entry.cooldownUntil > now;
+  }
+
+  hasAvailable(excludedIds = new Set()) {
+    const now = Date.now();
+    return this.keys.some(entry => !excludedIds.has(entry.id) && !this.isCoolingDown(entry, now));
+  }
+
+  // Picks an available key by strategy. When every candidate is cooling down
+  // the one that recovers first is returned so retries can still proceed.
+  acquire(excludedIds = new Set()) {
+    const now = Date.now();
+    const candidates = this.keys.filter(entry => !excludedIds.has(entry.id));
+    if (candidates.length === 0) return null;
+
+    const available = candidates.filter(entry => !this.isCoolingDown(entry, now));
+    let entry;
+    if (available.length === 0) {
+      entry = candidates.reduce((soonest, candidate) =>
+        candidate.cooldownUntil < soonest.cooldownUntil ? candidate : soonest);
+    } else if (this.strategy === "least-used") {
+      entry = available.reduce((least, candidate) =>
+        candidate.requests < least.requests ? candidate : least);
     } else {
-      return {
-        query: query,
-        analysis_mode: analysisMode,
-        results: fallbackResults,
-        citations: citations,
-        citation_metadata: citationMetadata,
-        summary: "Live search results from Grok",
-        total_results: 1,
-        search_time: new Date().toISOString(),
-        source: "grok-live-search"
-      };
+      // Round-robin: first available key at or after the cursor
+      entry = available.find(candidate => candidate.id >= this.nextIndex) || available[0];
+      this.nextIndex = (entry.id + 1) % this.keys.length;
     }
+
+    entry.requests++;
+    entry.lastUsed = now;
+    return entry;
   }
 
-  processCitations(citations) {
-    return citations.map((citation, index) => {
-      try {
-        const url = new URL(citation);
-        return {
-          index: index,
-          url: citation,
-          domain: url.hostname,
-          protocol: url.protocol,
-          is_secure: url.protocol === 'https:',
-          path: url.pathname
-        };
-      } catch (error) {
-        return {
-          index: index,
-          url: citation,
-          domain: null,
-          protocol: null,
-          is_secure: false,
-          path: null,
-          error: "Invalid URL format"
-        };
-      }
-    });
+  recordSuccess(entry, status = 200) {
+    entry.lastStatus = status;
+  }
+
+  recordFailure(entry, status = null, retryAfterMs = null) {
+    entry.errors++;
+    entry.lastStatus = status;
+    if (status === 401 || status === 403) {
+      entry.cooldownUntil = Date.now() + AUTH_FAILURE_COOLDOWN_MS;
+    } else if (status === 429) {
+      entry.cooldownUntil = Date.now() + (retryAfterMs ?? this.cooldownMs);
+    }
   }
 
+  getStats() {
+    const now = Date.now();
+    return {
+      strategy: this.strategy,
+      total: this.keys.length,
+      available: this.keys.filter(entry => !this.isCoolingDown(entry, now)).length,
+      keys: this.keys.map(entry => ({
+        key: entry.masked,
+        requests: entry.requests,
+        errors: entry.errors,
+        last_status: entry.lastStatus,
+        last_used: entry.lastUsed ? new Date(entry.lastUsed).toISOString() : null,
+        cooling_down_until: this.isCoolingDown(entry, now) ? new Date(entry.cooldownUntil).toISOString() : null
+      }))
+    };
+  }
 }
 
-// Define the enhanced search tools with analysis mode support
-const GROK_SEARCH_TOOLS = [
-  {
-    name: "grok_search",
-    description: "Search the web using Grok's AI-powered search capabilities. Supports both basic search results and comprehensive analysis with timelines, quotes, and multiple perspectives.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        query: {
-          type: "string",
-          description: "The search query to execute"
-        },
-        search_type: {
-          type: "string",
-          enum: ["web", "news", "general"],
-          default: "web",
-          description: "Type of search to perform"
-        },
-        max_results: {
-          type: "number",
-          default: 10,
-          minimum: 1,
-          maximum: 20,
-          description: "Maximum number of search results to return"
-        },
-        analysis_mode: {
-          type: "string",
-          enum: ["basic", "comprehensive"],
-          default: "basic",
-          description: "Analysis mode: 'basic' returns simple search results, 'comprehensive' provides detailed analysis with timelines, quotes, multiple perspectives, and context"
-        },
-        from_date: {
-          type: "string",
-          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
-          description: "Optional start date for search in ISO8601 format (YYYY-MM-DD). Limits search to content from this date onwards."
-        },
-        to_date: {
-          type: "string",
-          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
-          description: "Optional end date for search in ISO8601 format (YYYY-MM-DD). Limits search to content up to this date."
-        }
-      },
-      required: ["query"]
+// Parses rate-limit reset values such as "1s", "6m0s", "250ms" or "30" (seconds)
+function parseResetDuration(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of String(value).matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+// Token bucket plus a bounded concurrency queue in front of the API. Each
+// attempt (including retries) takes one token and holds one slot until its
+// response has been read. pause() holds back every queued request, e.g.
+// when the API answers with Retry-After.
+class RequestScheduler {
+  constructor({ requestsPerMinute = 60, burst = 10, maxConcurrent = 4, maxQueue = 100 } = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.burst = Math.max(1, burst);
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.maxQueue = maxQueue;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.inFlight = 0;
+    this.timer = null;
+    this.stats = { scheduled: 0, rejected: 0, pauses: 0, totalWaitMs: 0, maxWaitMs: 0, lastWaitMs: 0 };
+  }
+
+  refill(now) {
+    if (this.requestsPerMinute <= 0) {
+      this.tokens = this.burst;
+      return;
     }
-  },
-  {
-    name: "grok_web_search",
-    description: "Search general web content using Grok. Supports comprehensive analysis mode for detailed insights.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        query: {
-          type: "string",
-          description: "The web search query"
-        },
-        analysis_mode: {
-          type: "string",
-          enum: ["basic", "comprehensive"],
-          default: "basic",
-          description: "Analysis mode: 'basic' returns simple search results, 'comprehensive' provides detailed analysis with timelines, quotes, multiple perspectives, and context"
-        },
-        max_results: {
-          type: "number",
-          default: 10,
-          minimum: 1,
-          maximum: 20,
-          description: "Maximum number of results to return"
-        },
-        from_date: {
-          type: "string",
-          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
-          description: "Optional start date for search in ISO8601 format (YYYY-MM-DD). Limits search to content from this date onwards."
-        },
-        to_date: {
-          type: "string",
-          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
-          description: "Optional end date for search in ISO8601 format (YYYY-MM-DD). Limits search to content up to this date."
-        }
-      },
-      required: ["query"]
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.requestsPerMinute / 60000);
+    this.lastRefill = now;
+  }
+
+  schedule(task) {
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.rejected++;
+      return Promise.reject(Object.assign(
+        new Error(`Request queue is full (${this.maxQueue} waiting); try again shortly`),
+        { queueFull: true }
+      ));
     }
-  },
-  {
-    name: "grok_news_search",
-    description: "Search for recent news using Grok. Comprehensive mode provides timeline analysis, direct quotes, and multiple perspectives on news events.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        query: {
-          type: "string",
-          description: "The news search query"
-        },
-        analysis_mode: {
-          type: "string",
-          enum: ["basic", "comprehensive"],
-          default: "basic",
-          description: "Analysis mode: 'basic' returns simple search results, 'comprehensive' provides detailed analysis with timelines, quotes, multiple perspectives, and context"
-        },
-        max_results: {
-          type: "number",
-          default: 10,
-          minimum: 1,
-          maximum: 20,
-          description: "Maximum number of news results to return"
-        },
-        from_date: {
-          type: "string",
-          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
-          description: "Optional start date for search in ISO8601 format (YYYY-MM-DD). Limits search to content from this date onwards."
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject, enqueuedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length > 0 && this.inFlight < this.maxConcurrent) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        this.wakeAfter(this.pausedUntil - now);
+        return;
+      }
+      this.refill(now);
+      if (this.tokens < 1) {
+        this.wakeAfter((1 - this.tokens) * 60000 / this.requestsPerMinute);
+        return;
+      }
+
+      this.tokens--;
+      const job = this.queue.shift();
+      const waitMs = now - job.enqueuedAt;
+      this.stats.scheduled++;
+      this.stats.totalWaitMs += waitMs;
+      this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+      this.stats.lastWaitMs = waitMs;
+
+      this.inFlight++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.inFlight--;
+          this.drain();
+        });
+    }
+  }
+
+  wakeAfter(ms) {
+    this.timer = setTimeout(() => this.drain(), Math.max(1, Math.ceil(ms)));
+    this.timer.unref?.();
+  }
+
+  pause(ms, reason) {
+    if (!ms || ms <= 0) return;
+    const until = Date.now() + ms;
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      this.stats.pauses++;
+      Logger.warn("Pausing API requests", { ms, reason });
+    }
+  }
+
+  // Honors x-ratelimit-* headers: once the remaining request allowance hits
+  // zero, hold requests until the advertised reset
+  observe(headers) {
+    const remaining = headers.get('x-ratelimit-remaining-requests');
+    if (remaining !== null && Number(remaining) <= 0) {
+      this.pause(parseResetDuration(headers.get('x-ratelimit-reset-requests')) ?? 1000, "rate limit allowance exhausted");
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    this.refill(now);
+    return {
+      requests_per_minute: this.requestsPerMinute || "unlimited",
+      burst: this.burst,
+      max_concurrent: this.maxConcurrent,
+      max_queue: this.maxQueue,
+      in_flight: this.inFlight,
+      queue_depth: this.queue.length,
+      oldest_wait_ms: this.queue.length > 0 ? now - this.queue[0].enqueuedAt : 0,
+      tokens_available: Math.floor(this.tokens),
+      paused_until: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null,
+      scheduled: this.stats.scheduled,
+      rejected: this.stats.rejected,
+      pauses: this.stats.pauses,
+      avg_wait_ms: this.stats.scheduled > 0 ? Math.round(this.stats.totalWaitMs / this.stats.scheduled) : 0,
+      max_wait_ms: this.stats.maxWaitMs,
+      last_wait_ms: this.stats.lastWaitMs
+    };
+  }
+}
+
+const CIRCUIT_STATES = { CLOSED: "closed", OPEN: "open", HALF_OPEN: "half_open" };
+
+// Opens after a run of consecutive upstream failures (5xx, timeouts, network
+// errors) and fails calls fast until resetTimeoutMs has passed. Then a single
+// half-open probe is let through: success closes the circuit, failure opens
+// it again. Any response below 500 counts as success, since it proves the
+// API is reachable.
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = Math.max(1, failureThreshold);
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastTransition = null;
+    this.probeInFlight = false;
+    this.stats = { opens: 0, rejected: 0 };
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+    Logger.warn("Circuit breaker state change", { from: this.state, to: state, failures: this.consecutiveFailures });
+    this.state = state;
+    this.lastTransition = Date.now();
+    if (state === CIRCUIT_STATES.OPEN) {
+      this.openedAt = this.lastTransition;
+      this.stats.opens++;
+    }
+  }
+
+  // Throws a circuit_open error unless the request may go ahead
+  beforeRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return;
+    }
+    if (this.state === CIRCUIT_STATES.CLOSED) return;
+
+    this.stats.rejected++;
+    const retryAfterMs = this.state === CIRCUIT_STATES.OPEN ?
+      Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now()) : this.resetTimeoutMs;
+    throw Object.assign(
+      new Error(`circuit_open: xAI API unavailable after ${this.consecutiveFailures} consecutive failures; ` +
+        `next attempt allowed in ${Math.ceil(retryAfterMs / 1000)}s`),
+      { code: "circuit_open", retryAfterMs }
+    );
+  }
+
+  recordSuccess() {
+    this.probeInFlight = false;
+    this.consecutiveFailures = 0;
+    this.transition(CIRCUIT_STATES.CLOSED);
+  }
+
+  recordFailure() {
+    this.probeInFlight = false;
+    this.consecutiveFailures++;
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.transition(CIRCUIT_STATES.OPEN);
+      // Reopening restarts the reset timer even if the state did not change
+      this.openedAt = Date.now();
+    }
+  }
+
+  // For requests that never reached the API (e.g. rejected by a full queue)
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  getStatus() {
+    const nextProbeAt = this.state === CIRCUIT_STATES.OPEN ? this.openedAt + this.resetTimeoutMs : null;
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      reset_timeout_ms: this.resetTimeoutMs,
+      last_transition: this.lastTransition ? new Date(this.lastTransition).toISOString() : null,
+      next_probe_at: nextProbeAt ? new Date(nextProbeAt).toISOString() : null,
+      opens: this.stats.opens,
+      rejected: this.stats.rejected
+    };
+  }
+}
+
+// List prices in USD: grok-3 tokens per million, live search per source used
+const DEFAULT_PRICING = { inputPerMillion: 3, outputPerMillion: 15, perSource: 0.025 };
+const BUDGET_ACTIONS = ["downgrade", "reject"];
+const USAGE_RETENTION_DAYS = 62;
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function emptyUsageTotals() {
+  return { requests: 0, api_calls: 0, prompt_tokens: 0, completion_tokens: 0, sources_used: 0, cost_usd: 0 };
+}
+
+// Adds one tool result's usage (requests: 1) or another set of totals
+function addUsageTotals(totals, usage) {
+  totals.requests += usage.requests ?? 1;
+  totals.api_calls += usage.api_calls;
+  totals.prompt_tokens += usage.prompt_tokens;
+  totals.completion_tokens += usage.completion_tokens;
+  totals.sources_used += usage.sources_used;
+  totals.cost_usd = roundUsd(totals.cost_usd + usage.cost_usd);
+  return totals;
+}
+
+// Token, search-source and cost accounting per tool and per UTC day, with
+// optional daily and monthly budgets. Totals are kept in a small JSON file
+// when one is configured so budgets survive server restarts.
+class UsageTracker {
+  constructor({ file = null, pricing = {}, dailyBudgetUsd = null, monthlyBudgetUsd = null, action = "downgrade" } = {}) {
+    this.file = file;
+    this.pricing = { ...DEFAULT_PRICING, ...pricing };
+    this.dailyBudgetUsd = dailyBudgetUsd;
+    this.monthlyBudgetUsd = monthlyBudgetUsd;
+    this.action = BUDGET_ACTIONS.includes(action) ? action : "downgrade";
+    this.days = {};
+    this.load();
+  }
+
+  load() {
+    if (!this.file) return;
+    try {
+      this.days = JSON.parse(fs.readFileSync(this.file, 'utf8')).days || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Logger.warn("Ignoring unreadable usage file", { file: this.file, error: error.message });
+      }
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpPath = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ days: this.days }));
+      fs.renameSync(tmpPath, this.file);
+    } catch (error) {
+      Logger.warn("Failed to save usage totals", { file: this.file, error: error.message });
+    }
+  }
+
+  // Sums the usage of every completion that went into one tool result
+  summarize(completions) {
+    const usage = { api_calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, sources_used: 0, cost_usd: 0 };
+    for (const completion of completions) {
+      usage.api_calls++;
+      usage.prompt_tokens += completion?.usage?.prompt_tokens || 0;
+      usage.completion_tokens += completion?.usage?.completion_tokens || 0;
+      usage.sources_used += completion?.usage?.num_sources_used || 0;
+    }
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    usage.cost_usd = roundUsd(
+      usage.prompt_tokens * this.pricing.inputPerMillion / 1e6 +
+      usage.completion_tokens * this.pricing.outputPerMillion / 1e6 +
+      usage.sources_used * this.pricing.perSource
+    );
+    return usage;
+  }
+
+  record(toolName, usage) {
+    const day = new Date().toISOString().split('T')[0];
+    const totals = this.days[day] || (this.days[day] = { ...emptyUsageTotals(), tools: {} });
+    addUsageTotals(totals, usage);
+    addUsageTotals(totals.tools[toolName] || (totals.tools[toolName] = emptyUsageTotals()), usage);
+
+    const oldest = new Date(Date.now() - USAGE_RETENTION_DAYS * 86400000).toISOString().split('T')[0];
+    for (const storedDay of Object.keys(this.days)) {
+      if (storedDay < oldest) delete this.days[storedDay];
+    }
+    this.save();
+  }
+
+  getSpend() {
+    const today = new Date().toISOString().split('T')[0];
+    const month = today.slice(0, 7);
+    const monthSpend = Object.entries(this.days)
+      .filter(([day]) => day.startsWith(month))
+      .reduce((sum, [, totals]) => sum + totals.cost_usd, 0);
+    return { today: this.days[today]?.cost_usd || 0, month: roundUsd(monthSpend) };
+  }
+
+  // Returns the exceeded budget as a sentence, or null while within budget
+  exceededBudget() {
+    const spend = this.getSpend();
+    if (this.dailyBudgetUsd !== null && spend.today >= this.dailyBudgetUsd) {
+      return `daily budget of $${this.dailyBudgetUsd} reached ($${spend.today} spent today)`;
+    }
+    if (this.monthlyBudgetUsd !== null && spend.month >= this.monthlyBudgetUsd) {
+      return `monthly budget of $${this.monthlyBudgetUsd} reached ($${spend.month} spent this month)`;
+    }
+    return null;
+  }
+
+  // Over budget, comprehensive requests are downgraded to basic when the
+  // action allows it; everything else is rejected
+  checkBudget(analysisMode) {
+    const reason = this.exceededBudget();
+    if (!reason) return { status: "ok" };
+    if (this.action === "downgrade" && analysisMode === "comprehensive") {
+      return { status: "downgrade", reason };
+    }
+    return { status: "reject", reason };
+  }
+
+  getStats() {
+    const today = new Date().toISOString().split('T')[0];
+    const month = today.slice(0, 7);
+    const monthTotals = { ...emptyUsageTotals(), tools: {} };
+    for (const [day, totals] of Object.entries(this.days)) {
+      if (!day.startsWith(month)) continue;
+      addUsageTotals(monthTotals, totals);
+      for (const [toolName, toolTotals] of Object.entries(totals.tools)) {
+        addUsageTotals(monthTotals.tools[toolName] || (monthTotals.tools[toolName] = emptyUsageTotals()), toolTotals);
+      }
+    }
+
+    const spend = this.getSpend();
+    return {
+      pricing_usd: {
+        input_per_million_tokens: this.pricing.inputPerMillion,
+        output_per_million_tokens: this.pricing.outputPerMillion,
+        per_source: this.pricing.perSource
+      },
+      budgets: {
+        daily_usd: this.dailyBudgetUsd,
+        monthly_usd: this.monthlyBudgetUsd,
+        action: this.action,
+        spent_today_usd: spend.today,
+        spent_month_usd: spend.month,
+        exceeded: this.exceededBudget()
+      },
+      today: this.days[today] || { ...emptyUsageTotals(), tools: {} },
+      month: monthTotals,
+      by_day: Object.keys(this.days).sort().reverse().slice(0, 7)
+        .map(day => ({ day, ...this.days[day] }))
+    };
+  }
+}
+
+function parseOptionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Grok Search API Integration
+class GrokSearchAPI {
+  constructor(config = {}) {
+    // baseURL comes from ConfigProfiles, which already lets GROK_BASE_URL win
+    // over the config files' base_url
+    this.baseURL = (config.baseURL || process.env.GROK_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.keyPool = new ApiKeyPool(loadApiKeys(config), {
+      strategy: config.apiKeyStrategy || process.env.XAI_API_KEY_STRATEGY,
+      cooldownMs: (config.apiKeyCooldownSeconds ?? parseFloat(process.env.XAI_API_KEY_COOLDOWN || '60')) * 1000
+    });
+    this.cache = new SearchCache({
+      directory: config.cacheDir || process.env.GROK_CACHE_DIR || null,
+      maxSize: config.cacheMaxEntries ?? parseInt(process.env.GROK_CACHE_MAX_ENTRIES || '100'),
+      maxBytes: config.cacheMaxBytes ?? parseInt(process.env.GROK_CACHE_MAX_BYTES || String(10 * 1024 * 1024))
+    });
+    this.cacheTtls = {
+      ...DEFAULT_CACHE_TTLS,
+      ...parseCacheTtls(process.env.GROK_CACHE_TTLS),
+      ...(config.cacheTtls || {})
+    };
+    this.revalidations = new Set();
+    this.modelList = null;
+    this.modelListRequest = null;
+    this.structuredOutput = config.structuredOutput ?? (process.env.GROK_STRUCTURED_OUTPUT === 'true');
+    this.requestTimeout = config.timeout ?? parseInt(process.env.GROK_TIMEOUT || '30000');
+    this.maxRetries = config.maxRetries ?? parseInt(process.env.GROK_MAX_RETRIES || '3');
+    this.scheduler = new RequestScheduler({
+      requestsPerMinute: config.requestsPerMinute ?? parseFloat(process.env.GROK_RATE_LIMIT_RPM || '60'),
+      burst: config.rateLimitBurst ?? parseInt(process.env.GROK_RATE_LIMIT_BURST || '10'),
+      maxConcurrent: config.maxConcurrent ?? parseInt(process.env.GROK_MAX_CONCURRENT || '4'),
+      maxQueue: config.maxQueue ?? parseInt(process.env.GROK_MAX_QUEUE || '100')
+    });
+    this.circuit = new CircuitBreaker({
+      failureThreshold: config.circuitFailureThreshold ?? parseInt(process.env.GROK_CIRCUIT_THRESHOLD || '5'),
+      resetTimeoutMs: (config.circuitResetSeconds ?? parseFloat(process.env.GROK_CIRCUIT_RESET || '30')) * 1000
+    });
+    const cacheDir = config.cacheDir || process.env.GROK_CACHE_DIR || null;
+    this.usage = new UsageTracker({
+      file: config.usageFile || process.env.GROK_USAGE_FILE || (cacheDir ? path.join(cacheDir, 'usage', 'usage.json') : null),
+      pricing: {
+        inputPerMillion: parseOptionalNumber(process.env.GROK_PRICE_INPUT_PER_M) ?? DEFAULT_PRICING.inputPerMillion,
+        outputPerMillion: parseOptionalNumber(process.env.GROK_PRICE_OUTPUT_PER_M) ?? DEFAULT_PRICING.outputPerMillion,
+        perSource: parseOptionalNumber(process.env.GROK_PRICE_PER_SOURCE) ?? DEFAULT_PRICING.perSource,
+        ...(config.pricing || {})
+      },
+      dailyBudgetUsd: config.dailyBudgetUsd ?? parseOptionalNumber(process.env.GROK_BUDGET_DAILY_USD),
+      monthlyBudgetUsd: config.monthlyBudgetUsd ?? parseOptionalNumber(process.env.GROK_BUDGET_MONTHLY_USD),
+      action: config.budgetAction || process.env.GROK_BUDGET_ACTION || "downgrade"
+    });
+    this.isHealthy = true;
+    
+    // Graceful handling instead of process.exit
+    if (this.keyPool.size === 0) {
+      this.isHealthy = false;
+      Logger.error("XAI_API_KEY (or XAI_API_KEYS) environment variable is required");
+    }
+  }
+
+  checkHealth() {
+    return {
+      healthy: this.isHealthy && this.circuit.state !== CIRCUIT_STATES.OPEN,
+      hasApiKey: this.keyPool.size > 0,
+      baseURL: this.baseURL,
+      apiKeys: this.keyPool.getStats(),
+      queue: this.scheduler.getStats(),
+      circuit: this.circuit.getStatus(),
+      usage: this.usage.getStats(),
+      cacheSize: this.cache.cache.size,
+      cache: {
+        ...this.cache.getStats(),
+        ttl_minutes: this.cacheTtls,
+        revalidating: this.revalidations.size
+      },
+      lastError: this.lastError || null
+    };
+  }
+
+  // Point-in-time values for the metrics export
+  getMetricFamilies() {
+    const cache = this.cache.getStats();
+    const queue = this.scheduler.getStats();
+    const circuit = this.circuit.getStatus();
+    const lookups = cache.hits + cache.stale_hits + cache.misses;
+    const gauge = (name, help, value, labels = {}) => ({ name, type: "gauge", help, samples: [{ labels, value }] });
+
+    return [
+      gauge("grok_cache_entries", "Entries in the search cache", cache.entries),
+      gauge("grok_cache_bytes", "Bytes used by the search cache", cache.bytes),
+      gauge("grok_cache_hit_ratio", "Share of cache lookups served from the cache (fresh or stale)",
+        lookups > 0 ? (cache.hits + cache.stale_hits) / lookups : 0),
+      {
+        name: "grok_cache_events_total",
+        type: "counter",
+        help: "Search cache events by type",
+        samples: ["hits", "stale_hits", "misses", "sets", "evictions", "expirations", "invalidations"]
+          .map(event => ({ labels: { event }, value: cache[event] }))
+      },
+      gauge("grok_queue_depth", "API requests waiting for a slot", queue.queue_depth),
+      gauge("grok_queue_in_flight", "API requests in flight", queue.in_flight),
+      {
+        name: "grok_circuit_state",
+        type: "gauge",
+        help: "Circuit breaker state (1 for the current state)",
+        samples: Object.values(CIRCUIT_STATES).map(state => ({ labels: { state }, value: circuit.state === state ? 1 : 0 }))
+      },
+      { name: "grok_circuit_opens_total", type: "counter", help: "Times the circuit breaker opened", samples: [{ labels: {}, value: circuit.opens }] },
+      { name: "grok_circuit_rejections_total", type: "counter", help: "Requests failed fast by the open circuit", samples: [{ labels: {}, value: circuit.rejected }] }
+    ];
+  }
+
+  // When data.stream is set the response is read as server-sent events and
+  // onProgress is called as content arrives; the resolved value has the same
+  // shape as a non-streamed completion either way. Keys that answer 401/403/429
+  // are put on cooldown and the request moves on to the next key in the pool
+  // without using up a retry. Every attempt goes through the scheduler, and
+  // backoff happens outside it so waiting retries do not hold a slot. While
+  // the circuit breaker is open, attempts fail immediately with circuit_open.
+  async makeRequest(endpoint, data, retryCount = 0, options = {}) {
+    if (!this.isHealthy) {
+      throw new Error("API service is not healthy - missing XAI_API_KEY");
+    }
+
+    this.circuit.beforeRequest();
+    const triedKeys = options.triedKeys || new Set();
+    const keyEntry = this.keyPool.acquire(triedKeys);
+
+    try {
+      const result = await this.scheduler.schedule(() => this.sendRequest(endpoint, data, keyEntry, options));
+      this.circuit.recordSuccess();
+      return result;
+    } catch (error) {
+      if (error.queueFull) {
+        this.circuit.releaseProbe();
+        this.lastError = error.message;
+        throw error;
+      }
+
+      if (error.status && error.status < 500) {
+        this.circuit.recordSuccess();
+      } else {
+        this.circuit.recordFailure();
+      }
+
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`Request timeout after ${this.requestTimeout}ms`);
+        this.lastError = timeoutError.message;
+        throw timeoutError;
+      }
+
+      if (error.status) {
+        this.keyPool.recordFailure(keyEntry, error.status, error.retryAfterMs);
+
+        if (KEY_FAILOVER_STATUSES.includes(error.status)) {
+          const nextTried = new Set(triedKeys).add(keyEntry.id);
+          if (this.keyPool.hasAvailable(nextTried)) {
+            Logger.warn("API key rejected, failing over to the next key", {
+              key: keyEntry.masked,
+              status: error.status
+            });
+            metrics.inc("grok_api_key_failovers_total");
+            return this.makeRequest(endpoint, data, retryCount, { ...options, triedKeys: nextTried });
+          }
+        }
+
+        // Retry on server errors (5xx) or rate limits (429), waiting at least
+        // as long as the server asked
+        if ((error.status >= 500 || error.status === 429) && retryCount < this.maxRetries) {
+          const backoffDelay = Math.max(
+            Math.min(1000 * Math.pow(2, retryCount), 10000),
+            Math.min(error.retryAfterMs ?? 0, 60000)
+          );
+          if (error.retryAfterMs !== null) {
+            this.scheduler.pause(backoffDelay, `Retry-After from ${error.status} response`);
+          }
+          metrics.inc("grok_upstream_retries_total", { reason: error.status === 429 ? "rate_limited" : "server_error" });
+          Logger.warn(`Request failed, retrying in ${backoffDelay}ms`, { 
+            status: error.status, 
+            attempt: retryCount + 1,
+            maxRetries: this.maxRetries 
+          });
+          
+          await new Promise(resolve => setTimeout(resolve, backoffDelay));
+          return this.makeRequest(endpoint, data, retryCount + 1, { ...options, triedKeys: undefined });
+        }
+        
+        this.lastError = error.message;
+        throw error;
+      }
+
+      this.keyPool.recordFailure(keyEntry);
+
+      // Retry on network errors
+      if (retryCount < this.maxRetries) {
+        const backoffDelay = Math.min(1000 * Math.pow(2, retryCount), 10000);
+        metrics.inc("grok_upstream_retries_total", { reason: "network_error" });
+        Logger.warn(`Network error, retrying in ${backoffDelay}ms`, { 
+          error: error.message, 
+          attempt: retryCount + 1 
+        });
+        
+        await new Promise(resolve => setTimeout(resolve, backoffDelay));
+        return this.makeRequest(endpoint, data, retryCount + 1, { ...options, triedKeys: undefined });
+      }
+      
+      this.lastError = error.message;
+      throw new Error(`Failed to make API request: ${error.message}`);
+    }
+  }
+
+  // A single attempt with one key. Error responses are thrown with their
+  // status and Retry-After so makeRequest can decide how to recover.
+  async sendRequest(endpoint, data, keyEntry, options = {}) {
+    const url = `${this.baseURL}${endpoint}`;
+    const startTime = Date.now();
+    const controller = new AbortController();
+    let timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    let response = null;
+
+    try {
+      // Requests without data (e.g. the model list) are plain GETs
+      response = await fetch(url, {
+        method: data ? 'POST' : 'GET',
+        headers: {
+          'Authorization': `Bearer ${keyEntry.key}`,
+          ...(data && { 'Content-Type': 'application/json' })
         },
-        to_date: {
-          type: "string",
-          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
-          description: "Optional end date for search in ISO8601 format (YYYY-MM-DD). Limits search to content up to this date."
+        body: data ? JSON.stringify(data) : undefined,
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+      const duration = Date.now() - startTime;
+      this.scheduler.observe(response.headers);
+      metrics.inc("grok_upstream_requests_total", { status: response.status });
+      metrics.observe("grok_upstream_duration_seconds", {}, duration / 1000);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`API request failed: ${response.status} - ${errorText}`);
+        error.status = response.status;
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+      }
+
+      this.keyPool.recordSuccess(keyEntry, response.status);
+
+      if (data?.stream) {
+        // While streaming, the timeout applies to gaps between chunks
+        const resetTimeout = () => {
+          clearTimeout(timeoutId);
+          timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+        };
+        resetTimeout();
+        const streamed = await this.readStream(response, resetTimeout, options.onProgress);
+        Logger.debug(`API stream completed`, { duration: Date.now() - startTime, endpoint });
+        return streamed;
+      }
+
+      Logger.debug(`API request successful`, { duration, endpoint });
+      return await response.json();
+    } catch (error) {
+      // An attempt that got a response was already counted by its status;
+      // a broken stream or body after that must not count a second time
+      if (!response) {
+        metrics.inc("grok_upstream_requests_total", { status: error.name === 'AbortError' ? "timeout" : "network_error" });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Accumulates an SSE chat completion stream into a regular completion object
+  async readStream(response, onChunk, onProgress) {
+    const decoder = new TextDecoder();
+    const completion = {
+      id: null,
+      object: "chat.completion",
+      model: null,
+      choices: [{ index: 0, message: { role: "assistant", content: "" }, finish_reason: null }],
+      citations: [],
+      usage: null
+    };
+    const message = completion.choices[0].message;
+    let buffer = "";
+    let chunksReceived = 0;
+
+    const applyEvent = (event) => {
+      for (const line of event.split("\n")) {
+        if (!line.startsWith("data:")) continue;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === "[DONE]") continue;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(payload);
+        } catch (error) {
+          // Re-sending the whole request would pay for the answer twice
+          Logger.warn("Skipping unparseable stream chunk", { error: error.message, chunk: payload.slice(0, 200) });
+          continue;
         }
-      },
-      required: ["query"]
+        completion.id = chunk.id || completion.id;
+        completion.model = chunk.model || completion.model;
+        const choice = chunk.choices?.[0];
+        if (choice?.delta?.content) {
+          message.content += choice.delta.content;
+          chunksReceived++;
+        }
+        if (choice?.finish_reason) {
+          completion.choices[0].finish_reason = choice.finish_reason;
+        }
+        if (Array.isArray(chunk.citations)) {
+          completion.citations = chunk.citations;
+        }
+        if (chunk.usage) {
+          completion.usage = chunk.usage;
+        }
+      }
+    };
+
+    for await (const bytes of response.body) {
+      onChunk();
+      buffer += decoder.decode(bytes, { stream: true }).replace(/\r\n/g, "\n");
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) >= 0) {
+        applyEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+      if (onProgress) {
+        onProgress({ chunksReceived, content: message.content, done: false });
+      }
+    }
+    if (buffer.trim()) {
+      applyEvent(buffer);
+    }
+
+    // Token counts are only known once the final usage chunk has arrived
+    if (onProgress) {
+      onProgress({
+        chunksReceived,
+        completionTokens: completion.usage?.completion_tokens ?? null,
+        content: message.content,
+        done: true
+      });
+    }
+    return completion;
+  }
+
+  // Models offered by the API. The list rarely changes, so it is kept for an
+  // hour and concurrent callers share one request.
+  async listModels(refresh = false) {
+    const fresh = this.modelList && Date.now() - this.modelList.fetchedAt < MODELS_CACHE_TTL_MS;
+    if (fresh && !refresh) {
+      return { ...this.modelList, cached: true };
+    }
+
+    if (!this.modelListRequest) {
+      this.modelListRequest = this.makeRequest("/models", null)
+        .then(response => {
+          const models = (Array.isArray(response?.data) ? response.data : [])
+            .filter(model => model && typeof model.id === "string")
+            .map(model => ({
+              id: model.id,
+              owned_by: model.owned_by || null,
+              created: Number.isFinite(model.created) ? new Date(model.created * 1000).toISOString() : null
+            }))
+            .sort((a, b) => a.id.localeCompare(b.id));
+          this.modelList = { models, fetchedAt: Date.now() };
+          return this.modelList;
+        })
+        .finally(() => {
+          this.modelListRequest = null;
+        });
+    }
+    return { ...await this.modelListRequest, cached: false };
+  }
+
+  async search(query, searchType = "web", maxResults = 10, handles = null, fromDate = null, toDate = null, analysisMode = "basic", options = {}) {
+    let {
+      cacheMode = null,
+      onProgress = null,
+      structuredOutput = this.structuredOutput,
+      toolName = "grok_search",
+      profile = DEFAULT_PROFILE,
+      model = profile.model,
+      conversation = [],
+      sourceFilters = {}
+    } = options;
+
+    // Enhanced input validation and sanitization
+    if (!query || typeof query !== 'string') {
+      throw new Error("Search query must be a non-empty string");
+    }
+    
+    const sanitizedQuery = query.trim().replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+    if (sanitizedQuery.length === 0) {
+      throw new Error("Search query cannot be empty after sanitization");
+    }
+    
+    if (sanitizedQuery.length > 1000) {
+      throw new Error("Search query too long (max 1000 characters)");
+    }
+
+    if (!ANALYSIS_MODES.includes(analysisMode)) {
+      throw new Error(`analysis_mode must be one of: ${ANALYSIS_MODES.join(", ")}`);
+    }
+
+    if (!SEARCH_TYPES.includes(searchType)) {
+      throw new Error(`search_type must be one of: ${SEARCH_TYPES.join(", ")}`);
+    }
+
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 20) {
+      throw new Error("max_results must be an integer between 1 and 20");
+    }
+
+    if (cacheMode && !CACHE_MODES.includes(cacheMode)) {
+      throw new Error(`cache must be one of: ${CACHE_MODES.join(", ")}`);
+    }
+
+    const filters = this.validateSourceFilters(sourceFilters);
+    if (filters.hasXFilters && (searchType === "web" || searchType === "news")) {
+      throw new Error("excluded_handles, min_favorites and min_views apply to the X source only");
+    }
+    if (filters.rssFeeds.length > 0 && (searchType === "twitter" || searchType === "x")) {
+      throw new Error("rss_feeds cannot be used with X searches");
+    }
+
+    // Handles only narrow the x source; other search types ignore them
+    const xHandles = searchType === "twitter" || searchType === "x" ? normalizeXHandles(handles, "handles") : [];
+    if (xHandles.length > 0 && filters.excludedHandles.length > 0) {
+      throw new Error("handles and excluded_handles cannot be combined");
+    }
+
+    // Answers that build on earlier turns depend on more than the cache key
+    if (conversation.length > 0) {
+      cacheMode = "bypass";
+    }
+
+    // Validate date parameters
+    const validatedFromDate = validateDateString(fromDate, "from_date");
+    const validatedToDate = validateDateString(toDate, "to_date");
+    
+    // Check date logic - from_date should be before or equal to to_date
+    if (validatedFromDate && validatedToDate) {
+      const fromDateObj = new Date(validatedFromDate);
+      const toDateObj = new Date(validatedToDate);
+      if (fromDateObj > toDateObj) {
+        throw new Error("from_date must be before or equal to to_date");
+      }
+    }
+
+    if (xHandles.length > MAX_X_HANDLES) {
+      return this.searchHandleGroups(query, searchType, maxResults, xHandles, fromDate, toDate, analysisMode, options);
+    }
+    
+    // Over budget, comprehensive requests fall back to basic and the rest can
+    // only be answered from the cache
+    const budget = this.usage.checkBudget(analysisMode);
+    const requestedMode = analysisMode;
+    if (budget.status === "downgrade") {
+      Logger.warn("Budget exceeded, downgrading to basic analysis", { query: sanitizedQuery, reason: budget.reason });
+      analysisMode = "basic";
+    }
+    
+    // Create a search-focused system prompt
+    const systemPrompt = this.getSearchSystemPrompt(searchType, analysisMode);
+    
+    // Build search parameters
+    const searchParams = {
+      mode: "on",
+      return_citations: true,
+      max_search_results: maxResults,
+      sources: this.getSearchSources(searchType, xHandles, filters)
+    };
+    
+    // Add date filters if provided
+    if (validatedFromDate) {
+      searchParams.from_date = validatedFromDate;
+    }
+    if (validatedToDate) {
+      searchParams.to_date = validatedToDate;
+    }
+    
+    const requestData = {
+      model,
+      messages: [
+        {
+          role: "system",
+          content: systemPrompt
+        },
+        ...conversation,
+        {
+          role: "user",
+          content: `Please search for: "${sanitizedQuery}" and return the results in JSON format as specified.`
+        }
+      ],
+      max_tokens: profile.max_tokens[analysisMode],
+      temperature: profile.temperature,
+      stream: false,
+      search_parameters: searchParams
+    };
+
+    if (structuredOutput) {
+      requestData.response_format = this.buildResponseFormat(analysisMode);
+    }
+
+    const cacheKeyFor = (mode) =>
+      `${sanitizedQuery}:${searchType}:${maxResults}:${JSON.stringify(xHandles.length > 0 ? xHandles : null)}:${fromDate}:${toDate}:${mode}${structuredOutput ? ":strict" : ""}` +
+      (profile.name !== "default" ? `:profile=${profile.name}` : "") +
+      (model !== DEFAULT_PROFILE.model ? `:model=${model}` : "") +
+      (filters.key ? `:sources=${filters.key}` : "");
+    const cacheKey = cacheKeyFor(analysisMode);
+    const ttlMs = this.getCacheTtl(searchType, validatedToDate, profile.cache_ttls);
+    const cacheOptions = {
+      ttlMs,
+      staleTtlMs: ttlMs,
+      meta: { query: sanitizedQuery, searchType, analysisMode }
+    };
+
+    // "bypass" and "refresh" skip the lookup; stale entries are served at once
+    // and revalidated in the background unless the caller prefers the cache.
+    // Over budget nothing is revalidated, and an answer already paid for in
+    // the requested mode beats a downgraded one.
+    if (cacheMode !== "bypass" && cacheMode !== "refresh") {
+      const lookupKeys = budget.status === "downgrade" ? [cacheKeyFor(requestedMode), cacheKey] : [cacheKey];
+      for (const key of lookupKeys) {
+        const cached = this.cache.lookup(key);
+        if (!cached) continue;
+
+        Logger.debug("Cache hit", { query: sanitizedQuery, analysisMode, stale: cached.stale });
+        const revalidating = cached.stale && cacheMode !== "prefer" && budget.status === "ok" &&
+          this.revalidateInBackground(cacheKey, requestData, sanitizedQuery, maxResults, analysisMode, cacheOptions, toolName);
+        const usage = { ...this.usage.summarize([]), from_cache: true };
+        return this.withCacheStatus(
+          {
+            model,
+            ...this.annotateXPosts(this.tagFeedResults(cached.data, filters.rssFeeds), validatedFromDate, validatedToDate),
+            usage: key === cacheKey ? this.withBudgetNotice(usage, budget, requestedMode) : usage
+          },
+          cached.stale ? "stale" : "hit", cached.ageMs, ttlMs, revalidating
+        );
+      }
+    }
+
+    if (budget.status === "reject") {
+      throw Object.assign(new Error(`budget_exceeded: ${budget.reason}`), { code: "budget_exceeded" });
+    }
+
+    try {
+      const results = await this.executeSearch(requestData, sanitizedQuery, maxResults, analysisMode, onProgress, toolName);
+      
+      if (cacheMode !== "bypass" && results) {
+        this.cache.set(cacheKey, results, cacheOptions);
+      }
+      
+      return this.withCacheStatus(
+        {
+          ...this.annotateXPosts(this.tagFeedResults(results, filters.rssFeeds), validatedFromDate, validatedToDate),
+          usage: this.withBudgetNotice(results.usage, budget, requestedMode)
+        },
+        cacheMode || "miss", 0, ttlMs, false
+      );
+    } catch (error) {
+      Logger.error("Search failed", { query: sanitizedQuery, error: error.message });
+      // Keep machine-readable codes such as circuit_open for the tool response
+      throw Object.assign(new Error(`Search failed: ${error.message}`), {
+        code: error.code,
+        retryAfterMs: error.retryAfterMs
+      });
+    }
+  }
+
+  // Handle lists longer than the API accepts are searched in groups of
+  // MAX_X_HANDLES at once. A failing group is reported in handle_groups and
+  // only fails the search when every group does; each group is cached on
+  // its own so overlapping lists reuse earlier answers.
+  async searchHandleGroups(query, searchType, maxResults, handles, fromDate, toDate, analysisMode, options) {
+    const groups = [];
+    for (let i = 0; i < handles.length; i += MAX_X_HANDLES) {
+      groups.push(handles.slice(i, i + MAX_X_HANDLES));
+    }
+    Logger.info("Splitting handle list across requests", { handles: handles.length, groups: groups.length });
+
+    // Concurrent streams would interleave, so groups report no progress
+    const outcomes = await Promise.allSettled(groups.map(group =>
+      this.search(query, searchType, maxResults, group, fromDate, toDate, analysisMode, { ...options, onProgress: null })
+    ));
+    const parts = outcomes
+      .map((outcome, index) => ({ handles: groups[index], outcome }))
+      .filter(({ outcome }) => outcome.status === "fulfilled")
+      .map(({ handles: groupHandles, outcome }) => ({ handles: groupHandles, results: outcome.value }));
+
+    if (parts.length === 0) {
+      throw outcomes[0].reason;
+    }
+
+    return {
+      ...this.mergeHandleGroups(parts),
+      handle_groups: outcomes.map((outcome, index) => outcome.status === "fulfilled" ? {
+        handles: groups[index],
+        status: "success",
+        total_results: outcome.value.total_results ?? 0,
+        cache_status: outcome.value.cache_status?.status ?? null
+      } : {
+        handles: groups[index],
+        status: "failed",
+        error: outcome.reason.message,
+        ...(outcome.reason.code && { error_code: outcome.reason.code })
+      })
+    };
+  }
+
+  // Combines the answers of several handle groups into one result of the
+  // usual shape: citations are merged and re-indexed, duplicate posts are
+  // dropped and usage is summed
+  mergeHandleGroups(parts) {
+    const [first] = parts;
+    const citations = [];
+    const aliases = [];
+    const citationIndexes = new Map();
+    for (const part of parts) {
+      part.citationMap = (part.results.citations || []).map((url, index) => {
+        const key = canonicalizeUrl(url) || url;
+        if (!citationIndexes.has(key)) {
+          citationIndexes.set(key, citations.length);
+          citations.push(url);
+          aliases.push([]);
+        }
+        const mergedIndex = citationIndexes.get(key);
+        for (const alias of [url, ...(part.results.citation_metadata?.[index]?.aliases || [])]) {
+          if (alias !== citations[mergedIndex] && !aliases[mergedIndex].includes(alias)) aliases[mergedIndex].push(alias);
+        }
+        return mergedIndex;
+      });
+    }
+    const citationMetadata = this.processCitations(citations, aliases);
+
+    const seenUrls = new Set();
+    const isNewItem = item => {
+      const key = canonicalizeUrl(item?.url);
+      if (!key) return true;
+      if (seenUrls.has(key)) return false;
+      seenUrls.add(key);
+      return true;
+    };
+    const reindex = (part, item) => {
+      if (!Number.isInteger(item?.citation_index) || part.citationMap[item.citation_index] === undefined) {
+        return item;
+      }
+      const index = part.citationMap[item.citation_index];
+      return { ...item, citation_index: index, citation_url: citations[index], citation_metadata: citationMetadata[index] };
+    };
+    const collect = field => parts.some(part => Array.isArray(part.results[field])) ?
+      parts.flatMap(part => part.results[field] || []) :
+      undefined;
+    const joinText = field => parts.map(part => part.results[field]).filter(Boolean).join("\n\n");
+
+    const merged = {
+      query: first.results.query,
+      analysis_mode: first.results.analysis_mode,
+      model: first.results.model
+    };
+
+    if (parts.some(part => Array.isArray(part.results.results))) {
+      merged.results = parts
+        .flatMap(part => (part.results.results || []).map(item => reindex(part, item)))
+        .filter(isNewItem);
+    }
+    if (parts.some(part => part.results.comprehensive_analysis !== undefined)) {
+      merged.comprehensive_analysis = joinText("comprehensive_analysis");
+      merged.key_findings = collect("key_findings") || [];
+      merged.timeline = (collect("timeline") || [])
+        .sort((a, b) => String(a?.date ?? "").localeCompare(String(b?.date ?? "")));
+      merged.direct_quotes = collect("direct_quotes") || [];
+      merged.related_context = joinText("related_context");
+      merged.multiple_perspectives = collect("multiple_perspectives") || [];
+      merged.implications = {
+        short_term: parts.map(part => part.results.implications?.short_term).filter(Boolean).join(" "),
+        long_term: parts.map(part => part.results.implications?.long_term).filter(Boolean).join(" "),
+        stakeholders_affected: [...new Set(parts.flatMap(part => part.results.implications?.stakeholders_affected || []))]
+      };
+      merged.verification_status = Object.fromEntries(
+        ["confirmed_facts", "unconfirmed_claims", "contradictory_information"].map(field =>
+          [field, parts.flatMap(part => part.results.verification_status?.[field] || [])]
+        )
+      );
+    }
+    if (parts.some(part => Array.isArray(part.results.raw_results))) {
+      merged.raw_results = parts
+        .flatMap(part => (part.results.raw_results || []).map(item => reindex(part, item)))
+        .filter(isNewItem);
+    }
+
+    merged.summary = parts.map(part => part.results.summary).filter(Boolean).join(" ");
+    merged.total_results = (merged.results || merged.raw_results || merged.key_findings || []).length;
+    merged.search_time = new Date().toISOString();
+    merged.source = first.results.source;
+    merged.citations = citations;
+    merged.citation_metadata = citationMetadata;
+
+    const validations = parts.map(part => part.results.validation).filter(Boolean);
+    if (validations.length > 0) {
+      const tagged = field => parts.flatMap((part, group) =>
+        (part.results.validation?.[field] || []).map(entry => ({ ...entry, handle_group: group }))
+      );
+      merged.validation = {
+        schema: validations[0].schema,
+        valid: validations.every(validation => validation.valid),
+        parsed: validations.every(validation => validation.parsed),
+        coerced: tagged("coerced"),
+        removed: tagged("removed"),
+        missing: tagged("missing")
+      };
+    }
+
+    const usage = { api_calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, sources_used: 0, cost_usd: 0 };
+    for (const part of parts) {
+      for (const field of Object.keys(usage)) {
+        usage[field] += part.results.usage?.[field] || 0;
+      }
+    }
+    usage.cost_usd = roundUsd(usage.cost_usd);
+    usage.from_cache = parts.every(part => part.results.usage?.from_cache);
+    const budgetNotice = parts.find(part => part.results.usage?.budget)?.results.usage.budget;
+    merged.usage = budgetNotice ? { ...usage, budget: budgetNotice } : usage;
+
+    // Counted again after duplicate posts were dropped
+    const posts = [...(merged.results || []), ...(merged.raw_results || [])].filter(item => item?.x_post);
+    if (posts.length > 0) {
+      merged.x_post_check = {
+        posts: posts.length,
+        author_mismatches: posts.filter(item => item.x_post.author_matches === false).length,
+        outside_date_range: posts.filter(item => item.x_post.in_date_range === false).length
+      };
+    }
+
+    const statuses = [...new Set(parts.map(part => part.results.cache_status?.status))];
+    merged.cache_status = {
+      status: statuses.length === 1 ? statuses[0] : "mixed",
+      age_seconds: Math.max(...parts.map(part => part.results.cache_status?.age_seconds || 0)),
+      ttl_seconds: first.results.cache_status?.ttl_seconds ?? null,
+      revalidating: parts.some(part => part.results.cache_status?.revalidating)
+    };
+    return merged;
+  }
+
+  // Streams the completion when a progress listener is attached so the
+  // caller can see tokens and sections arrive. Structured output requests get
+  // one repair round-trip if the answer does not match the schema.
+  async executeSearch(requestData, query, maxResults, analysisMode, onProgress = null, toolName = "grok_search") {
+    let response = onProgress ?
+      await this.makeRequest(
+        "/chat/completions",
+        { ...requestData, stream: true },
+        0,
+        { onProgress: this.createStreamProgress(onProgress, analysisMode) }
+      ) :
+      await this.makeRequest("/chat/completions", requestData);
+
+    const completions = [response];
+    let structuredReport = null;
+    if (requestData.response_format) {
+      let repairResponse;
+      ({ response, report: structuredReport, repairResponse } = await this.repairStructuredResponse(requestData, response, analysisMode));
+      if (repairResponse) completions.push(repairResponse);
+    }
+
+    const usage = this.recordUsage(completions, toolName);
+    const results = this.parseSearchResults(response, query, maxResults, analysisMode);
+    return {
+      ...results,
+      model: requestData.model,
+      ...(structuredReport && { structured_output: structuredReport }),
+      usage
+    };
+  }
+
+  // Accounts the completions of one tool result against the usage totals
+  recordUsage(completions, toolName) {
+    const usage = this.usage.summarize(completions);
+    this.usage.record(toolName, usage);
+    metrics.inc("grok_tokens_total", { type: "prompt" }, usage.prompt_tokens);
+    metrics.inc("grok_tokens_total", { type: "completion" }, usage.completion_tokens);
+    metrics.inc("grok_sources_used_total", {}, usage.sources_used);
+    metrics.inc("grok_cost_usd_total", {}, usage.cost_usd);
+    return usage;
+  }
+
+  withBudgetNotice(usage, budget, requestedMode) {
+    if (budget.status !== "downgrade") return usage;
+    return { ...usage, budget: { downgraded: true, requested_mode: requestedMode, reason: budget.reason } };
+  }
+
+  getResponseSchema(analysisMode) {
+    return analysisMode === "comprehensive" ? COMPREHENSIVE_RESPONSE_SCHEMA : BASIC_RESPONSE_SCHEMA;
+  }
+
+  buildResponseFormat(analysisMode) {
+    return {
+      type: "json_schema",
+      json_schema: {
+        name: analysisMode === "comprehensive" ? "comprehensive_search_analysis" : "search_results",
+        schema: this.getResponseSchema(analysisMode)
+      }
+    };
+  }
+
+  // Parses content as strict JSON (falling back to the extraction strategies)
+  // and validates it against the response schema
+  checkStructuredContent(content, analysisMode) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      parsed = this.extractJson(content);
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      return { parsed: null, errors: [{ path: "$", message: "response is not a JSON object" }] };
+    }
+    return { parsed, errors: validateSchema(parsed, this.getResponseSchema(analysisMode)) };
+  }
+
+  async repairStructuredResponse(requestData, response, analysisMode) {
+    const content = response.choices?.[0]?.message?.content || "";
+    const initial = this.checkStructuredContent(content, analysisMode);
+    if (initial.errors.length === 0) {
+      return { response, report: { mode: "strict", repair_attempted: false, valid: true, errors: [] } };
+    }
+
+    const errorList = initial.errors.slice(0, MAX_REPAIR_ERRORS)
+      .map(error => `- ${error.path}: ${error.message}`)
+      .join("\n");
+    Logger.warn("Structured output failed validation, requesting repair", {
+      errors: initial.errors.length,
+      analysisMode
+    });
+
+    const repairRequest = {
+      ...requestData,
+      stream: false,
+      messages: [
+        ...requestData.messages,
+        { role: "assistant", content },
+        {
+          role: "user",
+          content: `Your previous response did not match the required JSON schema:\n${errorList}\n\nReturn only the corrected JSON object, keeping all information that was valid.`
+        }
+      ]
+    };
+
+    try {
+      const repaired = await this.makeRequest("/chat/completions", repairRequest);
+      const repairedContent = repaired.choices?.[0]?.message?.content || "";
+      const check = this.checkStructuredContent(repairedContent, analysisMode);
+
+      // Keep whichever answer actually parsed; prefer the repaired one
+      const useRepaired = check.parsed !== null || initial.parsed === null;
+      const chosen = useRepaired ? repaired : response;
+      if (!chosen.citations?.length && response.citations?.length) {
+        chosen.citations = response.citations;
+      }
+
+      return {
+        response: chosen,
+        repairResponse: repaired,
+        report: {
+          mode: "strict",
+          repair_attempted: true,
+          valid: useRepaired ? check.errors.length === 0 : false,
+          errors: useRepaired ? check.errors : initial.errors,
+          initial_errors: initial.errors
+        }
+      };
+    } catch (error) {
+      Logger.warn("Structured output repair request failed", { error: error.message });
+      return {
+        response,
+        report: {
+          mode: "strict",
+          repair_attempted: true,
+          valid: false,
+          errors: initial.errors,
+          repair_error: error.message
+        }
+      };
+    }
+  }
+
+  // Wraps a progress listener so it is called with chunk and section counts,
+  // at most once per PROGRESS_CHUNK_STEP content chunks unless a new section
+  // starts
+  createStreamProgress(onProgress, analysisMode) {
+    const sections = analysisMode === "comprehensive" ? COMPREHENSIVE_SECTIONS : BASIC_SECTIONS;
+    const seenSections = new Set();
+    let scannedLength = 0;
+    let lastChunks = -1;
+    let lastSections = -1;
+
+    return ({ chunksReceived, completionTokens = null, content, done }) => {
+      // Only rescan the new tail (plus overlap for keys split across chunks)
+      const tail = content.slice(Math.max(scannedLength - 64, 0));
+      scannedLength = content.length;
+      for (const section of sections) {
+        if (!seenSections.has(section) && tail.includes(`"${section}"`)) {
+          seenSections.add(section);
+        }
+      }
+      // The most recently opened section is still arriving until the stream ends
+      const sectionsParsed = done ? seenSections.size : Math.max(seenSections.size - 1, 0);
+
+      if (!done && chunksReceived - lastChunks < PROGRESS_CHUNK_STEP && sectionsParsed === lastSections) {
+        return;
+      }
+      if (chunksReceived === lastChunks && sectionsParsed === lastSections) {
+        return;
+      }
+      lastChunks = chunksReceived;
+      lastSections = sectionsParsed;
+
+      try {
+        onProgress({ chunksReceived, completionTokens, sectionsParsed, totalSections: sections.length, done });
+      } catch (error) {
+        Logger.warn("Progress listener failed", { error: error.message });
+      }
+    };
+  }
+
+  // Closed date ranges that ended before today will not change, so they use
+  // the long "historical" TTL instead of the per-search-type one
+  getCacheTtl(searchType, toDate = null, overrides = null) {
+    const today = new Date().toISOString().split('T')[0];
+    const ttlKey = toDate && toDate < today ? "historical" : (searchType === "x" ? "twitter" : searchType);
+    const ttls = { ...this.cacheTtls, ...overrides };
+    const minutes = ttls[ttlKey] ?? ttls.general;
+    return minutes * 60 * 1000;
+  }
+
+  revalidateInBackground(cacheKey, requestData, query, maxResults, analysisMode, cacheOptions, toolName) {
+    if (this.revalidations.has(cacheKey)) {
+      return true;
+    }
+
+    this.revalidations.add(cacheKey);
+    this.executeSearch(requestData, query, maxResults, analysisMode, null, toolName)
+      .then(results => this.cache.set(cacheKey, results, cacheOptions))
+      .catch(error => Logger.warn("Background revalidation failed", { query, error: error.message }))
+      .finally(() => this.revalidations.delete(cacheKey));
+    return true;
+  }
+
+  withCacheStatus(results, status, ageMs, ttlMs, revalidating) {
+    return {
+      ...results,
+      cache_status: {
+        status,
+        age_seconds: Math.round(ageMs / 1000),
+        ttl_seconds: Math.round(ttlMs / 1000),
+        revalidating
+      }
+    };
+  }
+
+  // Normalizes website, country and safe-search filters for the web and news
+  // sources, handle exclusions and engagement thresholds for the x source and
+  // the rss feeds to add. key is a stable representation for the cache key
+  // (null when no filter is set).
+  validateSourceFilters({
+    allowedWebsites,
+    excludedWebsites,
+    country = null,
+    safeSearch = null,
+    excludedHandles,
+    minFavorites = null,
+    minViews = null,
+    rssFeeds
+  } = {}) {
+    const allowed = normalizeWebsiteList(allowedWebsites, "allowed_websites");
+    const excluded = normalizeWebsiteList(excludedWebsites, "excluded_websites");
+    const excludedX = normalizeXHandles(excludedHandles, "excluded_handles");
+    const feeds = normalizeFeedList(rssFeeds, "rss_feeds");
+
+    if (allowed.length > MAX_WEBSITE_FILTERS) {
+      throw new Error(`allowed_websites can contain at most ${MAX_WEBSITE_FILTERS} domains`);
+    }
+    if (excluded.length > MAX_WEBSITE_FILTERS) {
+      throw new Error(`excluded_websites can contain at most ${MAX_WEBSITE_FILTERS} domains, including configured default exclusions`);
+    }
+    if (allowed.length > 0 && excluded.length > 0) {
+      throw new Error("allowed_websites and excluded_websites cannot be combined");
+    }
+
+    const countryCode = country === null || country === undefined ? null : String(country).trim().toUpperCase();
+    if (countryCode !== null && !COUNTRY_CODE_PATTERN.test(countryCode)) {
+      throw new Error("country must be an ISO 3166-1 alpha-2 code such as US or DE");
+    }
+    if (safeSearch !== null && safeSearch !== undefined && typeof safeSearch !== "boolean") {
+      throw new Error("safe_search must be a boolean");
+    }
+
+    if (feeds.length > MAX_RSS_FEEDS) {
+      throw new Error(`rss_feeds can contain at most ${MAX_RSS_FEEDS} feeds`);
+    }
+    if (excludedX.length > MAX_X_HANDLES) {
+      throw new Error(`excluded_handles can contain at most ${MAX_X_HANDLES} handles`);
+    }
+    for (const [name, value] of [["min_favorites", minFavorites], ["min_views", minViews]]) {
+      if (value !== null && value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`${name} must be a non-negative integer`);
+      }
+    }
+
+    const filters = {
+      allowedWebsites: allowed,
+      excludedWebsites: excluded,
+      country: countryCode,
+      safeSearch: safeSearch ?? null,
+      excludedHandles: excludedX,
+      minFavorites: minFavorites ?? null,
+      minViews: minViews ?? null,
+      rssFeeds: feeds
+    };
+    filters.hasXFilters = excludedX.length > 0 || filters.minFavorites !== null || filters.minViews !== null;
+    const isSet = allowed.length > 0 || excluded.length > 0 || countryCode !== null || filters.safeSearch !== null;
+    filters.key = isSet || filters.hasXFilters || feeds.length > 0 ?
+      JSON.stringify([
+        [...allowed].sort(), [...excluded].sort(), countryCode, filters.safeSearch,
+        ...(filters.hasXFilters ? [excludedX.map(handle => handle.toLowerCase()).sort(), filters.minFavorites, filters.minViews] : []),
+        ...(feeds.length > 0 ? [{ rss: [...feeds].sort() }] : [])
+      ]) :
+      null;
+    return filters;
+  }
+
+  // Marks results on the sites of the requested feeds with feed_site_match
+  // (the feed URL). The API does not report which source a result came from,
+  // so this is a host match: same-site web hits are marked too, and feeds
+  // hosted elsewhere (e.g. feedburner) never match. Applied on the way out so
+  // cached and revalidated entries are marked too.
+  tagFeedResults(results, feeds) {
+    if (feeds.length === 0) return results;
+
+    const sites = feeds.map(feed => ({ feed, site: feedSite(feed), matched: 0 }));
+    const tag = items => items.map(item => {
+      let host = null;
+      try {
+        host = new URL(item?.url).hostname.replace(/^www\./, "");
+      } catch (error) {
+        return item;
+      }
+      const match = sites.find(({ site }) => host === site || host.endsWith(`.${site}`));
+      if (!match) return item;
+      match.matched++;
+      return { ...item, feed_site_match: match.feed };
+    });
+
+    const tagged = { ...results };
+    if (Array.isArray(results.results)) tagged.results = tag(results.results);
+    if (Array.isArray(results.raw_results)) tagged.raw_results = tag(results.raw_results);
+    tagged.rss_feeds = sites.map(({ feed, matched }) => ({ url: feed, matched_results: matched }));
+    return tagged;
+  }
+
+  // Adds x_post fields (handle, status ID, post time from the snowflake ID,
+  // canonical URL) to results linking to X posts, and flags authors that do
+  // not name the post's handle and posts outside from_date/to_date. A check
+  // that cannot be made (no handle in the author field, no dates given, a
+  // pre-snowflake ID) is null rather than a mismatch.
+  annotateXPosts(results, fromDate, toDate) {
+    const check = { posts: 0, author_mismatches: 0, outside_date_range: 0 };
+    // Parse the spelling the API cited, which keeps the handle's capitalisation
+    const citedUrls = new Map();
+    for (const url of results.citations || []) {
+      const key = canonicalizeUrl(url);
+      if (key && !citedUrls.has(key)) citedUrls.set(key, url);
+    }
+    const annotate = items => items.map(item => {
+      const post = parseXStatusUrl(citedUrls.get(canonicalizeUrl(item?.url)) ?? item?.url);
+      if (!post) return item;
+
+      const handles = authorHandles(item.author);
+      const authorMatches = post.handle && handles.length > 0 ? handles.includes(post.handle.toLowerCase()) : null;
+      const postedDate = post.posted_at ? post.posted_at.split('T')[0] : null;
+      const inDateRange = postedDate && (fromDate || toDate) ?
+        (!fromDate || postedDate >= fromDate) && (!toDate || postedDate <= toDate) :
+        null;
+      const issues = [
+        ...(authorMatches === false ? ["author_mismatch"] : []),
+        ...(inDateRange === false ? ["outside_date_range"] : [])
+      ];
+
+      check.posts++;
+      if (authorMatches === false) check.author_mismatches++;
+      if (inDateRange === false) check.outside_date_range++;
+      return { ...item, x_post: { ...post, author_matches: authorMatches, in_date_range: inDateRange, issues } };
+    });
+
+    const annotated = { ...results };
+    if (Array.isArray(results.results)) annotated.results = annotate(results.results);
+    if (Array.isArray(results.raw_results)) annotated.raw_results = annotate(results.raw_results);
+    if (check.posts === 0) return results;
+
+    if (check.author_mismatches > 0 || check.outside_date_range > 0) {
+      Logger.info("X post results failed verification", { query: results.query, ...check });
+    }
+    annotated.x_post_check = check;
+    return annotated;
+  }
+
+  // The news source cannot be limited to allowed websites, so an allow list
+  // leaves the web source to cover news too
+  getSearchSources(searchType, handles = null, filters = {}) {
+    const {
+      allowedWebsites = [],
+      excludedWebsites = [],
+      country = null,
+      safeSearch = null,
+      excludedHandles = [],
+      minFavorites = null,
+      minViews = null,
+      rssFeeds = []
+    } = filters;
+    const shared = {
+      ...(country && { country }),
+      ...(safeSearch !== null && { safe_search: safeSearch }),
+      ...(excludedWebsites.length > 0 && { excluded_websites: excludedWebsites })
+    };
+    const webSource = {"type": "web", ...shared, ...(allowedWebsites.length > 0 && { allowed_websites: allowedWebsites })};
+    const newsSources = allowedWebsites.length > 0 ? [] : [{"type": "news", ...shared}];
+    const xFilters = {
+      ...(excludedHandles.length > 0 && { excluded_x_handles: excludedHandles }),
+      ...(minFavorites !== null && { post_favorite_count: minFavorites }),
+      ...(minViews !== null && { post_view_count: minViews })
+    };
+    const rssSources = rssFeeds.map(feed => ({"type": "rss", "links": [feed]}));
+
+    switch (searchType) {
+      case "web":
+        return [webSource, ...rssSources];
+      case "news":
+        return [...newsSources, webSource, ...rssSources];
+      case "twitter":
+      case "x":
+        const xSource = {"type": "x"};
+        if (handles && handles.length > 0) {
+          xSource.x_handles = handles;
+        }
+        return [{...xSource, ...xFilters}];
+      case "general":
+      default:
+        return [webSource, ...newsSources, {"type": "x", ...xFilters}, ...rssSources];
+    }
+  }
+
+  getSearchSystemPrompt(searchType, analysisMode = "basic") {
+    if (analysisMode === "comprehensive") {
+      return this.getComprehensiveSystemPrompt(searchType);
+    }
+    
+    const basePrompt = `Provide current, accurate information about the following topic using live search data. Format your response as JSON with this exact structure:
+{
+  "results": [
+    {
+      "title": "Article title or tweet content preview",
+      "snippet": "Brief summary or full tweet text (max 280 characters for tweets)",
+      "url": "Source URL or tweet URL",
+      "source": "Source name or Twitter handle",
+      "published_date": "YYYY-MM-DD",
+      "author": "Author name or Twitter handle (for tweets)"
+    }
+  ],
+  "summary": "Brief overview of findings"
+}`;
+    
+    switch (searchType) {
+      case "news":
+        return basePrompt + `\n\nFocus on recent news articles and current events. Prioritize the most recent information.`;
+      case "web":
+        return basePrompt + `\n\nSearch across general web content including articles, blogs, and informational pages.`;
+      case "twitter":
+      case "x":
+        return basePrompt + `\n\nSearch Twitter/X posts and tweets. Include the full tweet text in the snippet field, the author's handle, and tweet URL if available. Focus on recent posts and engagement.`;
+      case "general":
+      default:
+        return basePrompt + `\n\nProvide comprehensive search results from various web sources including news, articles, and social media.`;
+    }
+  }
+
+  getComprehensiveSystemPrompt(searchType) {
+    const comprehensivePrompt = `You are a comprehensive research analyst. Provide deep, detailed analysis of the search topic using live search data. Your response must be in JSON format with this exact structure:
+
+{
+  "query": "original search query",
+  "analysis_mode": "comprehensive",
+  "comprehensive_analysis": "A detailed 500+ word analysis providing deep context, background, and implications. Include specific details, dates, numbers, and concrete information.",
+  "key_findings": [
+    {
+      "category": "main_story|development|context|impact",
+      "title": "Specific finding title",
+      "content": "Detailed explanation with specifics, numbers, dates",
+      "sources": ["url1", "url2"],
+      "confidence": "high|medium|low"
+    }
+  ],
+  "timeline": [
+    {
+      "date": "YYYY-MM-DD",
+      "event": "Specific event description",
+      "source": "Source name",
+      "significance": "Why this event matters"
+    }
+  ],
+  "direct_quotes": [
+    {
+      "quote": "Exact quote from source",
+      "speaker": "Speaker name and title",
+      "context": "When and where this was said",
+      "source_url": "Source URL",
+      "significance": "Why this quote is important"
+    }
+  ],
+  "related_context": "Historical background, related events, and broader context that helps understand the topic",
+  "multiple_perspectives": [
+    {
+      "viewpoint": "Perspective group (e.g., supporters, critics, experts)",
+      "content": "What this group thinks/says about the topic",
+      "sources": ["url1", "url2"],
+      "reasoning": "Why this group holds this position"
+    }
+  ],
+  "implications": {
+    "short_term": "Immediate consequences and effects",
+    "long_term": "Potential long-term impacts and outcomes",
+    "stakeholders_affected": ["Group 1", "Group 2", "Group 3"]
+  },
+  "verification_status": {
+    "confirmed_facts": ["Verified information with sources"],
+    "unconfirmed_claims": ["Claims that need verification"],
+    "contradictory_information": ["Conflicting reports or information"]
+  },
+  "raw_results": [
+    {
+      "title": "Source article title",
+      "snippet": "Brief description",
+      "url": "Source URL",
+      "relevance_score": 1-10
+    }
+  ],
+  "summary": "Executive summary of the entire analysis",
+  "total_results": 10,
+  "search_time": "ISO timestamp",
+  "source": "grok-comprehensive-analysis"
+}
+
+CRITICAL INSTRUCTIONS:
+1. Extract SPECIFIC details: exact dates, numbers, names, locations
+2. Include DIRECT QUOTES with full attribution
+3. Create a TIMELINE of events with precise dates
+4. Analyze MULTIPLE PERSPECTIVES from different stakeholders
+5. Provide HISTORICAL CONTEXT and background
+6. Identify IMPLICATIONS and consequences
+7. Verify information status and note contradictions
+8. Be comprehensive but accurate - do not invent information`;
+
+    switch (searchType) {
+      case "news":
+        return comprehensivePrompt + `\n\nFOCUS: Recent news events, breaking developments, and current affairs. Emphasize timeline analysis, official statements, and evolving situation updates.`;
+      case "web":
+        return comprehensivePrompt + `\n\nFOCUS: General web content analysis including articles, blogs, and informational sources. Emphasize factual accuracy and diverse source perspectives.`;
+      case "twitter":
+      case "x":
+        return comprehensivePrompt + `\n\nFOCUS: Social media analysis including tweet sentiment, trending topics, and public opinion. Include influencer perspectives and viral content analysis.`;
+      case "general":
+      default:
+        return comprehensivePrompt + `\n\nFOCUS: Comprehensive analysis across all source types - news, web content, and social media. Provide the most complete picture possible.`;
+    }
+  }
+
+  parseSearchResults(response, query, maxResults, analysisMode = "basic") {
+    try {
+      const content = response.choices?.[0]?.message?.content || "";
+      const rawCitations = response.citations || [];
+      
+      // Enhanced citation processing; duplicate spellings of one page are
+      // collapsed, so positions in the raw list go through rawIndexes
+      const { citations, keys, aliases, rawIndexes } = this.dedupeCitations(rawCitations);
+      const citationMetadata = this.processCitations(citations, aliases);
+      
+      // Enhanced JSON parsing with multiple strategies, then schema
+      // validation so downstream agents can trust field types
+      const extracted = this.extractJsonWithStrategy(content);
+      metrics.inc("grok_parse_strategy_total", { strategy: extracted.strategy || "fallback" });
+      const { data: parsedResults, validation } = this.validateParsedResults(extracted.parsed, analysisMode);
+      
+      let results = [];
+      let summary = "";
+      let finalResponse = {};
+      
+      if (parsedResults) {
+        // Check if this is a comprehensive analysis response
+        if (analysisMode === "comprehensive" && parsedResults.analysis_mode === "comprehensive") {
+          // Handle comprehensive analysis response
+          finalResponse = {
+            query: query,
+            analysis_mode: "comprehensive",
+            comprehensive_analysis: parsedResults.comprehensive_analysis || "",
+            key_findings: parsedResults.key_findings || [],
+            timeline: parsedResults.timeline || [],
+            direct_quotes: parsedResults.direct_quotes || [],
+            related_context: parsedResults.related_context || "",
+            multiple_perspectives: parsedResults.multiple_perspectives || [],
+            implications: parsedResults.implications || {},
+            verification_status: parsedResults.verification_status || {},
+            raw_results: parsedResults.raw_results || parsedResults.results || [],
+            summary: parsedResults.summary || "",
+            total_results: (parsedResults.raw_results || parsedResults.results || []).length,
+            search_time: new Date().toISOString(),
+            source: "grok-comprehensive-analysis",
+            citations: citations,
+            citation_metadata: citationMetadata
+          };
+        } else if (parsedResults.results) {
+          // Handle basic JSON response
+          results = parsedResults.results.slice(0, maxResults);
+          summary = parsedResults.summary || "";
+          
+          // Enhanced results with better citation mapping
+          results = results.map((result, index) => {
+            const enhancedResult = { ...result };
+            
+            // Enhanced citation handling
+            if (citations.length > 0) {
+              // Use provided URL or map to citation
+              const citationIndex = result.url ? 
+                keys.indexOf(canonicalizeUrl(result.url)) : 
+                rawIndexes[Math.min(index, rawCitations.length - 1)];
+              enhancedResult.url = result.url || citations[citationIndex];
+                
+              if (citationIndex >= 0) {
+                enhancedResult.citation_url = citations[citationIndex];
+                enhancedResult.citation_index = citationIndex;
+                enhancedResult.citation_metadata = citationMetadata[citationIndex] || null;
+              }
+            }
+            
+            // Ensure all required fields
+            enhancedResult.source = result.source || "web-search";
+            enhancedResult.published_date = result.published_date || new Date().toISOString().split('T')[0];
+            
+            return enhancedResult;
+          });
+
+          finalResponse = {
+            query: query,
+            analysis_mode: analysisMode,
+            results: results,
+            citations: citations,
+            citation_metadata: citationMetadata,
+            summary: summary,
+            total_results: results.length,
+            search_time: new Date().toISOString(),
+            source: "grok-live-search"
+          };
+        } else {
+          // Parsed JSON but unexpected format
+          finalResponse = this.createFallbackResponse(query, content, citations, citationMetadata, analysisMode);
+        }
+      } else {
+        // No valid JSON found - create fallback response
+        finalResponse = this.createFallbackResponse(query, content, citations, citationMetadata, analysisMode);
+      }
+      
+      finalResponse.validation = validation;
+      return finalResponse;
+    } catch (error) {
+      throw new Error(`Failed to parse search results: ${error.message}`);
+    }
+  }
+
+  // Coerces parsed JSON onto the basic or comprehensive schema and reports
+  // every field that was fixed, dropped or missing
+  validateParsedResults(parsed, analysisMode) {
+    const schemaName = analysisMode === "comprehensive" ? "comprehensive" : "basic";
+    const report = { schema: schemaName, valid: false, parsed: !!parsed, coerced: [], removed: [], missing: [] };
+    if (!parsed) {
+      report.missing.push({ path: "$", reason: "no JSON object found in response" });
+      return { data: null, validation: report };
+    }
+
+    const schema = analysisMode === "comprehensive" ? COMPREHENSIVE_RESPONSE_SCHEMA : BASIC_COERCION_SCHEMA;
+    const { value } = coerceToSchema(parsed, schema, "$", report, true);
+    report.valid = report.coerced.length === 0 && report.removed.length === 0 && report.missing.length === 0;
+    if (!report.valid) {
+      Logger.debug("Search results needed schema fixes", {
+        coerced: report.coerced.length,
+        removed: report.removed.length,
+        missing: report.missing.length
+      });
+    }
+    return { data: value, validation: report };
+  }
+
+  extractJson(content) {
+    return this.extractJsonWithStrategy(content).parsed;
+  }
+
+  // Returns the parsed object and the name of the strategy that produced it
+  extractJsonWithStrategy(content) {
+    const jsonParsingStrategies = [
+      // Strategy 1: Find complete JSON object
+      () => {
+        const jsonMatch = content.match(/\{[\s\S]*\}/);
+        return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+      },
+      // Strategy 2: Find JSON between code blocks
+      () => {
+        const codeBlockMatch = content.match(/```json\s*([\s\S]*?)\s*```/);
+        return codeBlockMatch ? JSON.parse(codeBlockMatch[1]) : null;
+      },
+      // Strategy 3: Find JSON after specific markers
+      () => {
+        const markerMatch = content.match(/(?:json|JSON|response):\s*(\{[\s\S]*\})/);
+        return markerMatch ? JSON.parse(markerMatch[1]) : null;
+      },
+      // Strategy 4: Clean and try parsing the entire content
+      () => {
+        const cleaned = content.replace(/^[^{]*/, '').replace(/[^}]*$/, '');
+        return cleaned.startsWith('{') ? JSON.parse(cleaned) : null;
+      }
+    ];
+
+    const strategyNames = ["object_match", "code_block", "marker", "trimmed"];
+    for (const [index, strategy] of jsonParsingStrategies.entries()) {
+      try {
+        const parsed = strategy();
+        if (parsed) return { parsed, strategy: strategyNames[index] };
+      } catch (error) {
+        // Continue to next strategy
+        continue;
+      }
+    }
+    return { parsed: null, strategy: null };
+  }
+
+  createFallbackResponse(query, content, citations, citationMetadata, analysisMode) {
+    const fallbackResults = [{
+      title: `Search results for: ${query}`,
+      snippet: content.substring(0, 500) + (content.length > 500 ? "..." : ""),
+      url: citations[0] || null,
+      source: "grok-live-search",
+      published_date: new Date().toISOString().split('T')[0],
+      citation_url: citations[0] || null,
+      citation_index: citations.length > 0 ? 0 : null,
+      citation_metadata: citationMetadata[0] || null
+    }];
+
+    if (analysisMode === "comprehensive") {
+      return {
+        query: query,
+        analysis_mode: "comprehensive",
+        comprehensive_analysis: content.length > 100 ? content : "Unable to extract comprehensive analysis from response",
+        key_findings: [],
+        timeline: [],
+        direct_quotes: [],
+        related_context: "Analysis could not be properly extracted from the response",
+        multiple_perspectives: [],
+        implications: {},
+        verification_status: {
+          confirmed_facts: [],
+          unconfirmed_claims: [],
+          contradictory_information: []
+        },
+        raw_results: fallbackResults,
+        summary: "Raw search results from Grok (comprehensive analysis parsing failed)",
+        total_results: 1,
+        search_time: new Date().toISOString(),
+        source: "grok-comprehensive-analysis-fallback",
+        citations: citations,
+        citation_metadata: citationMetadata
+      };
+    } else {
+      return {
+        query: query,
+        analysis_mode: analysisMode,
+        results: fallbackResults,
+        citations: citations,
+        citation_metadata: citationMetadata,
+        summary: "Live search results from Grok",
+        total_results: 1,
+        search_time: new Date().toISOString(),
+        source: "grok-live-search"
+      };
+    }
+  }
+
+  // Collapses citations that canonicalize to the same page. Each page keeps
+  // the first spelling the API cited; keys holds its canonical form, aliases
+  // the later spellings and rawIndexes the collapsed position of every entry
+  // in the original list.
+  dedupeCitations(rawCitations) {
+    const citations = [];
+    const keys = [];
+    const aliases = [];
+    const rawIndexes = rawCitations.map(raw => {
+      const key = canonicalizeUrl(raw) ?? raw;
+      let index = keys.indexOf(key);
+      if (index === -1) {
+        keys.push(key);
+        aliases.push([]);
+        index = citations.push(raw) - 1;
+      } else if (raw !== citations[index] && !aliases[index].includes(raw)) {
+        aliases[index].push(raw);
+      }
+      return index;
+    });
+
+    if (citations.length < rawCitations.length) {
+      Logger.debug("Collapsed duplicate citations", { received: rawCitations.length, unique: citations.length });
+    }
+    return { citations, keys, aliases, rawIndexes };
+  }
+
+  processCitations(citations, aliases = []) {
+    return citations.map((citation, index) => {
+      try {
+        const url = new URL(citation);
+        const xPost = parseXStatusUrl(citation);
+        return {
+          index: index,
+          url: citation,
+          domain: url.hostname,
+          protocol: url.protocol,
+          is_secure: url.protocol === 'https:',
+          path: url.pathname,
+          canonical_url: canonicalizeUrl(citation),
+          aliases: aliases[index] || [],
+          ...(xPost && { x_post: xPost })
+        };
+      } catch (error) {
+        return {
+          index: index,
+          url: citation,
+          domain: null,
+          protocol: null,
+          is_secure: false,
+          path: null,
+          canonical_url: canonicalizeUrl(citation),
+          aliases: aliases[index] || [],
+          error: "Invalid URL format"
+        };
+      }
+    });
+  }
+
+}
+
+const SEARCH_RESOURCE_PREFIX = "grok://search/";
+
+// Renders a stored search as markdown for resources/read
+function renderSearchMarkdown(record) {
+  const results = record.results;
+  const lines = [
+    `# ${record.query}`,
+    "",
+    `- **Tool:** ${record.toolName}`,
+    `- **Search type:** ${record.searchType}`,
+    `- **Analysis mode:** ${record.analysisMode}`,
+    `- **Searched at:** ${record.createdAt}`,
+    ""
+  ];
+
+  const link = (title, url) => url ? `[${title}](${url})` : title;
+
+  if (results.analysis_mode === "comprehensive") {
+    if (results.summary) lines.push("## Summary", "", results.summary, "");
+    if (results.comprehensive_analysis) lines.push("## Analysis", "", results.comprehensive_analysis, "");
+    if (results.key_findings?.length) {
+      lines.push("## Key Findings", "");
+      for (const finding of results.key_findings) {
+        lines.push(`- **${finding.title}** (${finding.category}, ${finding.confidence} confidence): ${finding.content}`);
+      }
+      lines.push("");
+    }
+    if (results.timeline?.length) {
+      lines.push("## Timeline", "");
+      for (const event of results.timeline) {
+        lines.push(`- **${event.date}**: ${event.event}${event.source ? ` (${event.source})` : ""}`);
+      }
+      lines.push("");
+    }
+    if (results.direct_quotes?.length) {
+      lines.push("## Direct Quotes", "");
+      for (const quote of results.direct_quotes) {
+        lines.push(`> ${quote.quote}`, `> — ${link(quote.speaker, quote.source_url)}`, "");
+      }
+    }
+    if (results.multiple_perspectives?.length) {
+      lines.push("## Perspectives", "");
+      for (const perspective of results.multiple_perspectives) {
+        lines.push(`- **${perspective.viewpoint}**: ${perspective.content}`);
+      }
+      lines.push("");
+    }
+    if (results.related_context) lines.push("## Context", "", results.related_context, "");
+  } else {
+    if (results.summary) lines.push("## Summary", "", results.summary, "");
+    if (results.results?.length) {
+      lines.push("## Results", "");
+      results.results.forEach((result, index) => {
+        const byline = [result.source, result.author, result.published_date].filter(Boolean).join(" · ");
+        lines.push(`${index + 1}. ${link(result.title, result.url)}${byline ? ` — ${byline}` : ""}`);
+        if (result.snippet) lines.push(`   ${result.snippet}`);
+      });
+      lines.push("");
+    }
+  }
+
+  if (results.citations?.length) {
+    lines.push("## Citations", "");
+    results.citations.forEach((citation, index) => lines.push(`${index + 1}. ${citation}`));
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+// Bounded, in-memory record of completed searches exposed as MCP resources
+class SearchHistory {
+  constructor(maxEntries = 50) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  add({ toolName, query, searchType, analysisMode, results }) {
+    const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const record = {
+      id,
+      uri: `${SEARCH_RESOURCE_PREFIX}${id}`,
+      toolName,
+      query,
+      searchType,
+      analysisMode,
+      createdAt: new Date().toISOString(),
+      results
+    };
+
+    this.entries.set(id, record);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return record;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  // Most recent first
+  list() {
+    return [...this.entries.values()].reverse();
+  }
+
+  // Accepts grok://search/{id} and grok://search/{id}/markdown
+  resolve(uri) {
+    if (!uri.startsWith(SEARCH_RESOURCE_PREFIX)) return null;
+    const [id, format = "json", ...rest] = uri.slice(SEARCH_RESOURCE_PREFIX.length).split("/");
+    if (rest.length > 0 || !["json", "markdown"].includes(format)) return null;
+    const record = this.get(id);
+    return record ? { record, format } : null;
+  }
+}
+
+// Search tool arguments that filter the web and news sources
+const SOURCE_FILTER_ARGS = ["allowed_websites", "excluded_websites", "country", "safe_search"];
+const X_FILTER_ARGS = ["excluded_handles", "min_favorites", "min_views"];
+// Search arguments a session remembers for its follow-ups
+const SESSION_FILTER_ARGS = [...SOURCE_FILTER_ARGS, ...X_FILTER_ARGS, "rss_feeds"];
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SUMMARY_LINE_CHARS = 500;
+
+// Rough token count for budgeting conversation context (~4 characters each)
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// What a later turn needs to know about an earlier result: the summary plus
+// the findings and links, without metadata such as citation_metadata
+function compactResultsForContext(results) {
+  if (results.analysis_mode === "comprehensive") {
+    return {
+      summary: results.summary || "",
+      key_findings: (results.key_findings || []).map(({ title, content, sources }) => ({ title, content, sources })),
+      unconfirmed_claims: results.verification_status?.unconfirmed_claims || [],
+      citations: results.citations || []
+    };
+  }
+  return {
+    summary: results.summary || "",
+    results: (results.results || []).map(({ title, snippet, url }) => ({ title, snippet, url })),
+    citations: results.citations || []
+  };
+}
+
+// Conversation sessions let a search build on earlier turns. Each session
+// keeps recent turns verbatim within a token budget; older turns are folded
+// into one-line summaries, and the oldest summaries are dropped once even
+// those no longer fit. Sessions expire after a period of inactivity.
+class ResearchSessions {
+  constructor({ maxSessions = 20, ttlMs = 60 * 60 * 1000, tokenBudget = 8000 } = {}) {
+    this.sessions = new Map();
+    this.maxSessions = maxSessions;
+    this.ttlMs = ttlMs;
+    this.tokenBudget = tokenBudget;
+  }
+
+  validateId(id) {
+    if (typeof id !== "string" || !SESSION_ID_PATTERN.test(id)) {
+      throw new Error("session_id must be 1-64 letters, digits, '-' or '_'");
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (now - session.updatedAt > this.ttlMs) this.sessions.delete(id);
+    }
+  }
+
+  get(id) {
+    this.validateId(id);
+    this.prune();
+    return this.sessions.get(id) || null;
+  }
+
+  // Returns the session, creating it (and evicting the least recently used
+  // one when full) if it does not exist yet
+  open(id) {
+    const existing = this.get(id);
+    if (existing) return existing;
+
+    while (this.sessions.size >= this.maxSessions) {
+      const [oldest] = [...this.sessions.values()].sort((a, b) => a.updatedAt - b.updatedAt);
+      this.sessions.delete(oldest.id);
+    }
+    const session = {
+      id,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      turnCount: 0,
+      turns: [],
+      summaries: [],
+      droppedTurns: 0,
+      citations: new Map(),
+      settings: null
+    };
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  close(id) {
+    const session = this.get(id);
+    if (!session) return null;
+    this.sessions.delete(id);
+    return session;
+  }
+
+  // Messages replaying the session for the next request
+  buildContext(session) {
+    const messages = [];
+    if (session.summaries.length > 0) {
+      messages.push({
+        role: "system",
+        content: `Earlier turns of this research session, summarized:\n${session.summaries.join("\n")}`
+      });
+    }
+    for (const turn of session.turns) {
+      messages.push({ role: "user", content: turn.prompt }, { role: "assistant", content: turn.answer });
+    }
+    return messages;
+  }
+
+  contextTokens(session) {
+    return session.turns.reduce((total, turn) => total + turn.tokens, 0) +
+      session.summaries.reduce((total, line) => total + estimateTokens(line), 0);
+  }
+
+  addTurn(session, { query, settings, results }) {
+    session.turnCount++;
+    session.updatedAt = Date.now();
+    session.settings = settings;
+
+    const prompt = `Please search for: "${query}" and return the results in JSON format as specified.`;
+    const answer = JSON.stringify(compactResultsForContext(results));
+    session.turns.push({
+      query,
+      prompt,
+      answer,
+      summary: results.summary || "",
+      tokens: estimateTokens(prompt) + estimateTokens(answer)
+    });
+
+    for (const url of results.citations || []) {
+      const key = canonicalizeUrl(url);
+      if (key && !session.citations.has(key)) session.citations.set(key, url);
+    }
+
+    // Keep the latest turn verbatim; fold older ones, then drop summaries
+    while (this.contextTokens(session) > this.tokenBudget && session.turns.length > 1) {
+      const turn = session.turns.shift();
+      const line = `- "${turn.query}": ${turn.summary || "(no summary)"}`;
+      session.summaries.push(line.length > SUMMARY_LINE_CHARS ? `${line.slice(0, SUMMARY_LINE_CHARS - 1)}…` : line);
+    }
+    while (this.contextTokens(session) > this.tokenBudget && session.summaries.length > 0) {
+      session.summaries.shift();
+      session.droppedTurns++;
+    }
+  }
+
+  describe(session) {
+    return {
+      session_id: session.id,
+      turns: session.turnCount,
+      turns_in_context: session.turns.length,
+      summarized_turns: session.summaries.length,
+      dropped_turns: session.droppedTurns,
+      context_tokens: this.contextTokens(session),
+      token_budget: this.tokenBudget,
+      citations: [...session.citations.values()],
+      last_query: session.turns[session.turns.length - 1]?.query || null,
+      search_type: session.settings?.search_type || null,
+      created_at: new Date(session.createdAt).toISOString(),
+      updated_at: new Date(session.updatedAt).toISOString(),
+      expires_at: new Date(session.updatedAt + this.ttlMs).toISOString()
+    };
+  }
+
+  list() {
+    this.prune();
+    return [...this.sessions.values()]
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(session => this.describe(session));
+  }
+}
+
+const MAX_BATCH_QUERIES = 10;
+const BATCH_QUERY_FIELDS = [
+  "query", "search_type", "analysis_mode", "max_results", "handles", "from_date", "to_date"
+];
+// Reciprocal rank fusion constant; larger values flatten the gap between ranks
+const BATCH_RANK_K = 60;
+
+// Merges the results of several searches into one list. A result found by
+// more than one query is kept once, with the best-ranked copy's fields and
+// the indexes of every query that found it, and ranked by reciprocal rank
+// fusion so results that rank high in several queries come first.
+function mergeBatchResults(outcomes, limit) {
+  const merged = new Map();
+  const citations = new Map();
+  let totalResults = 0;
+
+  for (const outcome of outcomes) {
+    if (outcome.status !== "success") continue;
+    const { results } = outcome;
+    const items = results.results || results.raw_results || [];
+
+    items.forEach((item, rank) => {
+      if (!item || typeof item !== "object") return;
+      totalResults++;
+      const key = canonicalizeUrl(item.url) || `title:${String(item.title || "").trim().toLowerCase()}`;
+      const score = 1 / (BATCH_RANK_K + rank + 1);
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { item, bestRank: rank, score, queries: [outcome.index] });
+        return;
+      }
+      existing.score += score;
+      if (!existing.queries.includes(outcome.index)) existing.queries.push(outcome.index);
+      if (rank < existing.bestRank) {
+        existing.item = item;
+        existing.bestRank = rank;
+      }
+    });
+
+    for (const url of results.citations || []) {
+      const key = canonicalizeUrl(url);
+      if (!key) continue;
+      const citation = citations.get(key) || { url, queries: [] };
+      if (!citation.queries.includes(outcome.index)) citation.queries.push(outcome.index);
+      citations.set(key, citation);
+    }
+  }
+
+  const ranked = [...merged.values()]
+    .sort((a, b) => b.score - a.score || b.queries.length - a.queries.length)
+    .map(({ item, score, queries }) => ({
+      title: item.title || null,
+      snippet: item.snippet || null,
+      url: item.url || null,
+      source: item.source || null,
+      published_date: item.published_date || null,
+      author: item.author || null,
+      found_by_queries: queries.sort((a, b) => a - b),
+      score: Math.round(score * 1e6) / 1e6
+    }));
+
+  return {
+    total_results: ranked.length,
+    duplicates_removed: totalResults - ranked.length,
+    results: ranked.slice(0, limit),
+    citations: [...citations.values()].map(citation => ({
+      url: citation.url,
+      found_by_queries: citation.queries.sort((a, b) => a - b)
+    }))
+  };
+}
+
+const RESEARCH_SOURCES = ["web", "news", "x"];
+const RESEARCH_SEARCH_TYPES = { web: "web", news: "news", x: "twitter" };
+const MAX_RESEARCH_STEPS = 12;
+const MAX_PLANNED_QUESTIONS = 5;
+const MAX_FOLLOW_UPS_PER_STEP = 2;
+const MIN_RESEARCH_TOKEN_BUDGET = 1000;
+const RESEARCH_PLAN_MAX_TOKENS = 1000;
+
+const RESEARCH_PLAN_SCHEMA = {
+  type: "object",
+  required: ["sub_questions"],
+  properties: {
+    sub_questions: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["question", "source"],
+        properties: {
+          question: { type: "string" },
+          source: { type: "string", enum: RESEARCH_SOURCES },
+          rationale: { type: "string" }
+        }
+      }
+    }
+  }
+};
+
+// Multi-step research: plan sub-questions, search them one at a time in
+// comprehensive mode, queue follow-ups for what a step could not confirm,
+// and synthesize one report from the notes. Steps stop at the step limit or
+// once the token budget is spent; synthesis always runs.
+class DeepResearch {
+  constructor(grokAPI, options = {}) {
+    this.grokAPI = grokAPI;
+    this.profile = options.profile || DEFAULT_PROFILE;
+    this.model = options.model || this.profile.model;
+    this.cacheMode = options.cacheMode || null;
+    this.sourceFilters = options.sourceFilters || {};
+    this.onProgress = options.onProgress || null;
+    this.toolName = "grok_deep_research";
+  }
+
+  async run(query, options = {}) {
+    const {
+      sources = RESEARCH_SOURCES,
+      maxSteps = parseInt(process.env.GROK_RESEARCH_MAX_STEPS || '6'),
+      tokenBudget = parseInt(process.env.GROK_RESEARCH_TOKEN_BUDGET || '60000'),
+      maxResults = 10,
+      fromDate = null,
+      toDate = null
+    } = options;
+
+    if (!query || typeof query !== "string" || !query.trim()) {
+      throw new Error("Research query is required and cannot be empty");
+    }
+    if (!Array.isArray(sources) || sources.length === 0 || !sources.every(source => RESEARCH_SOURCES.includes(source))) {
+      throw new Error(`sources must be a non-empty list of: ${RESEARCH_SOURCES.join(", ")}`);
+    }
+    if (!Number.isInteger(maxSteps) || maxSteps < 1 || maxSteps > MAX_RESEARCH_STEPS) {
+      throw new Error(`max_steps must be an integer between 1 and ${MAX_RESEARCH_STEPS}`);
+    }
+    if (!Number.isInteger(tokenBudget) || tokenBudget < MIN_RESEARCH_TOKEN_BUDGET) {
+      throw new Error(`token_budget must be an integer of at least ${MIN_RESEARCH_TOKEN_BUDGET}`);
+    }
+
+    const budget = this.grokAPI.usage.checkBudget("basic");
+    if (budget.status === "reject") {
+      throw Object.assign(new Error(`budget_exceeded: ${budget.reason}`), { code: "budget_exceeded" });
+    }
+
+    this.query = query.trim();
+    this.sources = [...new Set(sources)];
+    this.searchOptions = { maxResults, fromDate, toDate };
+    this.usage = emptyUsageTotals();
+    this.tokensUsed = 0;
+    this.citations = new Map();
+    this.notes = [];
+    this.steps = [];
+
+    const plan = await this.plan();
+    const seen = new Set();
+    const queue = [];
+    const enqueue = (lead) => {
+      const key = `${lead.source}:${lead.question.trim().toLowerCase()}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      queue.push(lead);
+    };
+    plan.questions.forEach(question => enqueue({ ...question, origin: "plan" }));
+
+    // The first step always runs so the report has something to stand on
+    let stopReason = "completed";
+    while (queue.length > 0) {
+      if (this.steps.length >= maxSteps) {
+        stopReason = "max_steps";
+        break;
+      }
+      if (this.steps.length > 0 && this.tokensUsed >= tokenBudget) {
+        stopReason = "token_budget";
+        break;
+      }
+
+      const lead = queue.shift();
+      this.reportProgress(`Step ${this.steps.length + 1}: ${lead.question}`, maxSteps);
+      const results = await this.runStep(lead);
+      if (results) {
+        this.followUps(results).forEach(enqueue);
+      }
+    }
+
+    const succeeded = this.steps.filter(step => step.status === "success").length;
+    if (succeeded === 0) {
+      const lastError = this.steps[this.steps.length - 1]?.error || "no research steps ran";
+      throw new Error(`Deep research failed: every step failed (${lastError})`);
+    }
+
+    this.reportProgress("Synthesizing report", maxSteps);
+    const citationUrls = [...this.citations.values()].map(citation => citation.url);
+    const { report, error: synthesisError } = await this.synthesize(citationUrls);
+    const citationCheck = attachResearchCitations(report, citationUrls);
+
+    return {
+      ...report,
+      query: this.query,
+      analysis_mode: "comprehensive",
+      source: "grok-deep-research",
+      search_time: new Date().toISOString(),
+      citations: citationUrls,
+      citation_metadata: this.grokAPI.processCitations(citationUrls),
+      citation_check: citationCheck,
+      ...(synthesisError && { synthesis_error: synthesisError }),
+      research: {
+        plan: plan.questions,
+        ...(plan.fallback && { plan_fallback: plan.fallback }),
+        steps: this.steps,
+        stop_reason: stopReason,
+        steps_used: this.steps.length,
+        max_steps: maxSteps,
+        token_budget: tokenBudget,
+        tokens_used: this.tokensUsed,
+        pending_questions: queue.map(lead => lead.question)
+      },
+      model: this.model,
+      usage: this.usage
+    };
+  }
+
+  reportProgress(message, maxSteps) {
+    if (this.onProgress) {
+      this.onProgress({ progress: this.steps.length, total: maxSteps + 1, message });
+    }
+  }
+
+  // A request that answers from the model alone, without live search
+  async complete(systemPrompt, userPrompt, maxTokens, responseFormat = null) {
+    const response = await this.grokAPI.makeRequest("/chat/completions", {
+      model: this.model,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt }
+      ],
+      max_tokens: maxTokens,
+      temperature: this.profile.temperature,
+      stream: false,
+      search_parameters: { mode: "off" },
+      ...(responseFormat && { response_format: responseFormat })
+    });
+    const usage = this.grokAPI.recordUsage([response], this.toolName);
+    addUsageTotals(this.usage, usage);
+    this.tokensUsed += usage.total_tokens;
+    return response;
+  }
+
+  // Falls back to one step per source with the original question when the
+  // model cannot produce a usable plan
+  async plan() {
+    const systemPrompt = `You plan web research. Break the research question into at most ${MAX_PLANNED_QUESTIONS} focused sub-questions that together answer it. For each, pick the source most likely to answer it: "web" for background and reference material, "news" for recent reporting, "x" for first-hand reports and reactions on X. Only use these sources: ${this.sources.join(", ")}.
+
+Respond with JSON only, in this exact structure:
+{
+  "sub_questions": [
+    { "question": "Specific sub-question", "source": "web|news|x", "rationale": "Why this helps answer the research question" }
+  ]
+}`;
+
+    let fallback;
+    try {
+      const response = await this.complete(
+        systemPrompt,
+        `Research question: "${this.query}"`,
+        RESEARCH_PLAN_MAX_TOKENS,
+        { type: "json_schema", json_schema: { name: "research_plan", schema: RESEARCH_PLAN_SCHEMA } }
+      );
+      const parsed = this.grokAPI.extractJson(response.choices?.[0]?.message?.content || "");
+      const questions = (Array.isArray(parsed?.sub_questions) ? parsed.sub_questions : [])
+        .filter(item => item && typeof item.question === "string" && item.question.trim())
+        .map(item => ({
+          question: item.question.trim().slice(0, 500),
+          source: this.sources.includes(item.source) ? item.source : this.sources[0],
+          ...(typeof item.rationale === "string" && { rationale: item.rationale })
+        }))
+        .slice(0, MAX_PLANNED_QUESTIONS);
+      if (questions.length > 0) {
+        return { questions };
+      }
+      fallback = "plan contained no usable sub-questions";
+    } catch (error) {
+      fallback = `planning failed: ${error.message}`;
+    }
+
+    Logger.warn("Research planning fell back to the original question", { query: this.query, reason: fallback });
+    return {
+      questions: this.sources.map(source => ({ question: this.query, source })),
+      fallback
+    };
+  }
+
+  async runStep(lead) {
+    const step = {
+      step: this.steps.length + 1,
+      question: lead.question,
+      source: lead.source,
+      origin: lead.origin,
+      ...(lead.reason && { reason: lead.reason })
+    };
+    this.steps.push(step);
+
+    try {
+      const results = await this.grokAPI.search(
+        lead.question,
+        RESEARCH_SEARCH_TYPES[lead.source],
+        this.searchOptions.maxResults,
+        null,
+        this.searchOptions.fromDate,
+        this.searchOptions.toDate,
+        "comprehensive",
+        {
+          cacheMode: this.cacheMode,
+          toolName: this.toolName,
+          profile: this.profile,
+          model: this.model,
+          sourceFilters: this.sourceFilters
+        }
+      );
+
+      const tokens = results.usage?.total_tokens || 0;
+      this.tokensUsed += tokens;
+      addUsageTotals(this.usage, results.usage || emptyUsageTotals());
+
+      for (const url of results.citations || []) {
+        const key = canonicalizeUrl(url);
+        if (!key) continue;
+        const citation = this.citations.get(key) || { url, steps: [] };
+        citation.steps.push(step.step);
+        this.citations.set(key, citation);
+      }
+
+      const status = results.verification_status || {};
+      this.notes.push({
+        step: step.step,
+        question: lead.question,
+        source: lead.source,
+        summary: results.summary || "",
+        key_findings: (results.key_findings || []).map(({ category, title, content, sources, confidence }) =>
+          ({ category, title, content, sources, confidence })),
+        timeline: results.timeline || [],
+        direct_quotes: results.direct_quotes || [],
+        multiple_perspectives: results.multiple_perspectives || [],
+        confirmed_facts: status.confirmed_facts || [],
+        unconfirmed_claims: status.unconfirmed_claims || [],
+        contradictory_information: status.contradictory_information || []
+      });
+
+      Object.assign(step, {
+        status: "success",
+        key_findings: (results.key_findings || []).length,
+        citations: (results.citations || []).length,
+        tokens,
+        cache_status: results.cache_status?.status || null
+      });
+      return results;
+    } catch (error) {
+      Object.assign(step, {
+        status: "failed",
+        error: error.message,
+        ...(error.code && { error_code: error.code })
+      });
+      return null;
+    }
+  }
+
+  // Leads worth another search: claims the step could not confirm, conflicting
+  // reports and findings it was not confident about
+  followUps(results) {
+    const status = results.verification_status || {};
+    const strings = list => (Array.isArray(list) ? list : []).filter(item => typeof item === "string" && item.trim());
+    const pick = preferred => this.sources.includes(preferred) ? preferred : this.sources[0];
+
+    return [
+      ...strings(status.unconfirmed_claims).map(claim =>
+        ({ question: `Verify: ${claim}`, source: pick("news"), reason: "unconfirmed_claim" })),
+      ...strings(status.contradictory_information).map(item =>
+        ({ question: `Resolve conflicting reports: ${item}`, source: pick("web"), reason: "contradictory_information" })),
+      ...(results.key_findings || [])
+        .filter(finding => finding?.confidence === "low" && typeof finding.title === "string")
+        .map(finding => ({ question: `Confirm: ${finding.title}`, source: pick("x"), reason: "low_confidence_finding" }))
+    ]
+      .map(lead => ({ ...lead, question: lead.question.slice(0, 500), origin: "follow_up" }))
+      .slice(0, MAX_FOLLOW_UPS_PER_STEP);
+  }
+
+  // If the synthesis request fails the report is assembled from the notes
+  async synthesize(citationUrls) {
+    const systemPrompt = `${this.grokAPI.getComprehensiveSystemPrompt("general")}
+
+You are writing the final report of a multi-step research run. Do not search again: use only the research notes and the numbered sources the user provides. Every key finding, perspective and quote must cite URLs from that source list, copied exactly. Leave out anything the notes do not support and list claims that stayed unverified under verification_status.unconfirmed_claims.`;
+    const userPrompt = `Research question: "${this.query}"
+
+Research notes (one entry per research step):
+${JSON.stringify(this.notes, null, 2)}
+
+Sources:
+${citationUrls.map((url, index) => `[${index}] ${url}`).join("\n") || "(none)"}
+
+Return the final report in the JSON format specified.`;
+
+    try {
+      const response = await this.complete(systemPrompt, userPrompt, this.profile.max_tokens.comprehensive);
+      const parsed = this.grokAPI.parseSearchResults(
+        { ...response, citations: citationUrls },
+        this.query,
+        20,
+        "comprehensive"
+      );
+      // An unusable reply still comes back in the comprehensive shape, as a
+      // prose snippet from createFallbackResponse; that is not a report
+      if (parsed.validation?.parsed !== false && parsed.source !== "grok-comprehensive-analysis-fallback") {
+        return { report: parsed };
+      }
+      throw new Error("synthesis response did not match the comprehensive schema");
+    } catch (error) {
+      Logger.warn("Research synthesis failed, assembling report from notes", { query: this.query, error: error.message });
+      return { report: this.reportFromNotes(), error: error.message };
+    }
+  }
+
+  reportFromNotes() {
+    const flat = field => this.notes.flatMap(note => note[field]);
+    return {
+      analysis_mode: "comprehensive",
+      comprehensive_analysis: this.notes.map(note => `${note.question}: ${note.summary}`).join("\n\n"),
+      key_findings: flat("key_findings"),
+      timeline: flat("timeline").sort((a, b) => String(a.date).localeCompare(String(b.date))),
+      direct_quotes: flat("direct_quotes"),
+      related_context: "",
+      multiple_perspectives: flat("multiple_perspectives"),
+      implications: {},
+      verification_status: {
+        confirmed_facts: [...new Set(flat("confirmed_facts"))],
+        unconfirmed_claims: [...new Set(flat("unconfirmed_claims"))],
+        contradictory_information: [...new Set(flat("contradictory_information"))]
+      },
+      raw_results: [],
+      summary: this.notes.map(note => note.summary).filter(Boolean).join(" ")
+    };
+  }
+}
+
+// Ties each finding, perspective and quote of a research report to the
+// collected citations. Each item gets citation_indexes into the report's
+// citations, source lists keep only collected URLs, and items left without a
+// collected source are marked supported: false.
+function attachResearchCitations(report, citationUrls) {
+  const indexByKey = new Map(citationUrls.map((url, index) => [canonicalizeUrl(url), index]));
+  const check = { claims: 0, supported: 0, unsupported: 0, dropped_sources: [] };
+
+  const resolve = (urls) => {
+    const indexes = [];
+    for (const url of Array.isArray(urls) ? urls : []) {
+      const index = indexByKey.get(canonicalizeUrl(url));
+      if (index === undefined) {
+        if (typeof url === "string" && !check.dropped_sources.includes(url)) check.dropped_sources.push(url);
+      } else if (!indexes.includes(index)) {
+        indexes.push(index);
+      }
+    }
+    return indexes;
+  };
+  const tally = (item, indexes) => {
+    item.citation_indexes = indexes;
+    item.supported = indexes.length > 0;
+    check.claims++;
+    check[item.supported ? "supported" : "unsupported"]++;
+  };
+
+  for (const item of [...(report.key_findings || []), ...(report.multiple_perspectives || [])]) {
+    if (!item || typeof item !== "object") continue;
+    const indexes = resolve(item.sources);
+    item.sources = indexes.map(index => citationUrls[index]);
+    tally(item, indexes);
+  }
+  for (const quote of report.direct_quotes || []) {
+    if (!quote || typeof quote !== "object") continue;
+    const indexes = resolve(quote.source_url ? [quote.source_url] : []);
+    if (indexes.length > 0) quote.source_url = citationUrls[indexes[0]];
+    tally(quote, indexes);
+  }
+  return check;
+}
+
+// Define the enhanced search tools with analysis mode support
+const GROK_SEARCH_TOOLS = [
+  {
+    name: "grok_search",
+    description: "Search the web using Grok's AI-powered search capabilities. Supports both basic search results and comprehensive analysis with timelines, quotes, and multiple perspectives.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "The search query to execute"
+        },
+        search_type: {
+          type: "string",
+          enum: ["web", "news", "general"],
+          default: "web",
+          description: "Type of search to perform"
+        },
+        max_results: {
+          type: "number",
+          default: 10,
+          minimum: 1,
+          maximum: 20,
+          description: "Maximum number of search results to return"
+        },
+        analysis_mode: {
+          type: "string",
+          enum: ["basic", "comprehensive"],
+          default: "basic",
+          description: "Analysis mode: 'basic' returns simple search results, 'comprehensive' provides detailed analysis with timelines, quotes, multiple perspectives, and context"
+        },
+        from_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional start date for search in ISO8601 format (YYYY-MM-DD). Limits search to content from this date onwards."
+        },
+        to_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional end date for search in ISO8601 format (YYYY-MM-DD). Limits search to content up to this date."
+        },
+        cache: {
+          type: "string",
+          enum: ["bypass", "refresh", "prefer"],
+          description: "Optional cache policy: 'bypass' skips the cache entirely, 'refresh' fetches fresh results and updates the cache, 'prefer' returns any cached result (even stale) without refetching. By default fresh results are served from cache and stale ones are returned immediately while being refreshed in the background."
+        },
+        structured_output: {
+          type: "boolean",
+          description: "Request schema-constrained JSON output from the API and re-ask once with the validation errors if the answer does not match. Defaults to the GROK_STRUCTURED_OUTPUT setting."
+        },
+        profile: {
+          type: "string",
+          description: "Optional named profile from the config file for this call (model, token limits, temperature and argument defaults). Defaults to the server's active profile."
+        },
+        model: {
+          type: "string",
+          description: "Optional model for this call, e.g. a cheaper model for quick lookups. Must be in the configured allowlist; see list_models. Defaults to the profile's model."
+        },
+        session_id: {
+          type: "string",
+          pattern: "^[A-Za-z0-9_-]{1,64}$",
+          description: "Optional conversation session. Earlier turns of the session are sent along so this search can build on them; a new ID starts a session. Continue it with grok_follow_up."
+        },
+        allowed_websites: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 5,
+          description: "Optional: only search these domains (up to 5, e.g. ['reuters.com', 'apnews.com']). Cannot be combined with excluded_websites. The news source cannot be restricted this way, so news is then searched through the web source."
+        },
+        excluded_websites: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 5,
+          description: "Optional: never return results from these domains (up to 5, including the server's configured default exclusions)"
+        },
+        country: {
+          type: "string",
+          pattern: "^[A-Za-z]{2}$",
+          description: "Optional ISO 3166-1 alpha-2 country code (e.g. 'US', 'DE') to favor results from that country"
+        },
+        safe_search: {
+          type: "boolean",
+          description: "Optional: set to false to turn off safe search for web and news sources (the API default is on)"
+        },
+        rss_feeds: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 5,
+          description: "Optional RSS/Atom feed URLs (up to 5) to search alongside the other sources. Results on a feed's site are marked with feed_site_match (the feed URL); this is a host match, not a report of which source the API used."
+        },
+        excluded_handles: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 10,
+          description: "For general searches: never return X posts from these handles (up to 10)"
+        },
+        min_favorites: {
+          type: "integer",
+          minimum: 0,
+          description: "For general searches: only consider X posts with at least this many favorites (likes)"
+        },
+        min_views: {
+          type: "integer",
+          minimum: 0,
+          description: "For general searches: only consider X posts with at least this many views"
+        }
+      },
+      required: ["query"]
+    }
+  },
+  {
+    name: "grok_web_search",
+    description: "Search general web content using Grok. Supports comprehensive analysis mode for detailed insights.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "The web search query"
+        },
+        analysis_mode: {
+          type: "string",
+          enum: ["basic", "comprehensive"],
+          default: "basic",
+          description: "Analysis mode: 'basic' returns simple search results, 'comprehensive' provides detailed analysis with timelines, quotes, multiple perspectives, and context"
+        },
+        max_results: {
+          type: "number",
+          default: 10,
+          minimum: 1,
+          maximum: 20,
+          description: "Maximum number of results to return"
+        },
+        from_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional start date for search in ISO8601 format (YYYY-MM-DD). Limits search to content from this date onwards."
+        },
+        to_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional end date for search in ISO8601 format (YYYY-MM-DD). Limits search to content up to this date."
+        },
+        cache: {
+          type: "string",
+          enum: ["bypass", "refresh", "prefer"],
+          description: "Optional cache policy: 'bypass' skips the cache entirely, 'refresh' fetches fresh results and updates the cache, 'prefer' returns any cached result (even stale) without refetching. By default fresh results are served from cache and stale ones are returned immediately while being refreshed in the background."
+        },
+        structured_output: {
+          type: "boolean",
+          description: "Request schema-constrained JSON output from the API and re-ask once with the validation errors if the answer does not match. Defaults to the GROK_STRUCTURED_OUTPUT setting."
+        },
+        profile: {
+          type: "string",
+          description: "Optional named profile from the config file for this call (model, token limits, temperature and argument defaults). Defaults to the server's active profile."
+        },
+        model: {
+          type: "string",
+          description: "Optional model for this call, e.g. a cheaper model for quick lookups. Must be in the configured allowlist; see list_models. Defaults to the profile's model."
+        },
+        session_id: {
+          type: "string",
+          pattern: "^[A-Za-z0-9_-]{1,64}$",
+          description: "Optional conversation session. Earlier turns of the session are sent along so this search can build on them; a new ID starts a session. Continue it with grok_follow_up."
+        },
+        allowed_websites: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 5,
+          description: "Optional: only search these domains (up to 5, e.g. ['reuters.com', 'apnews.com']). Cannot be combined with excluded_websites. The news source cannot be restricted this way, so news is then searched through the web source."
+        },
+        excluded_websites: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 5,
+          description: "Optional: never return results from these domains (up to 5, including the server's configured default exclusions)"
+        },
+        country: {
+          type: "string",
+          pattern: "^[A-Za-z]{2}$",
+          description: "Optional ISO 3166-1 alpha-2 country code (e.g. 'US', 'DE') to favor results from that country"
+        },
+        safe_search: {
+          type: "boolean",
+          description: "Optional: set to false to turn off safe search for web and news sources (the API default is on)"
+        },
+        rss_feeds: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 5,
+          description: "Optional RSS/Atom feed URLs (up to 5) to search alongside the other sources. Results on a feed's site are marked with feed_site_match (the feed URL); this is a host match, not a report of which source the API used."
+        }
+      },
+      required: ["query"]
+    }
+  },
+  {
+    name: "grok_news_search",
+    description: "Search for recent news using Grok. Comprehensive mode provides timeline analysis, direct quotes, and multiple perspectives on news events.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "The news search query"
+        },
+        analysis_mode: {
+          type: "string",
+          enum: ["basic", "comprehensive"],
+          default: "basic",
+          description: "Analysis mode: 'basic' returns simple search results, 'comprehensive' provides detailed analysis with timelines, quotes, multiple perspectives, and context"
+        },
+        max_results: {
+          type: "number",
+          default: 10,
+          minimum: 1,
+          maximum: 20,
+          description: "Maximum number of news results to return"
+        },
+        from_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional start date for search in ISO8601 format (YYYY-MM-DD). Limits search to content from this date onwards."
+        },
+        to_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional end date for search in ISO8601 format (YYYY-MM-DD). Limits search to content up to this date."
+        },
+        cache: {
+          type: "string",
+          enum: ["bypass", "refresh", "prefer"],
+          description: "Optional cache policy: 'bypass' skips the cache entirely, 'refresh' fetches fresh results and updates the cache, 'prefer' returns any cached result (even stale) without refetching. By default fresh results are served from cache and stale ones are returned immediately while being refreshed in the background."
+        },
+        structured_output: {
+          type: "boolean",
+          description: "Request schema-constrained JSON output from the API and re-ask once with the validation errors if the answer does not match. Defaults to the GROK_STRUCTURED_OUTPUT setting."
+        },
+        profile: {
+          type: "string",
+          description: "Optional named profile from the config file for this call (model, token limits, temperature and argument defaults). Defaults to the server's active profile."
+        },
+        model: {
+          type: "string",
+          description: "Optional model for this call, e.g. a cheaper model for quick lookups. Must be in the configured allowlist; see list_models. Defaults to the profile's model."
+        },
+        session_id: {
+          type: "string",
+          pattern: "^[A-Za-z0-9_-]{1,64}$",
+          description: "Optional conversation session. Earlier turns of the session are sent along so this search can build on them; a new ID starts a session. Continue it with grok_follow_up."
+        },
+        allowed_websites: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 5,
+          description: "Optional: only search these domains (up to 5, e.g. ['reuters.com', 'apnews.com']). Cannot be combined with excluded_websites. The news source cannot be restricted this way, so news is then searched through the web source."
+        },
+        excluded_websites: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 5,
+          description: "Optional: never return results from these domains (up to 5, including the server's configured default exclusions)"
+        },
+        country: {
+          type: "string",
+          pattern: "^[A-Za-z]{2}$",
+          description: "Optional ISO 3166-1 alpha-2 country code (e.g. 'US', 'DE') to favor results from that country"
+        },
+        safe_search: {
+          type: "boolean",
+          description: "Optional: set to false to turn off safe search for web and news sources (the API default is on)"
+        },
+        rss_feeds: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 5,
+          description: "Optional RSS/Atom feed URLs (up to 5) to search alongside the other sources. Results on a feed's site are marked with feed_site_match (the feed URL); this is a host match, not a report of which source the API used."
+        }
+      },
+      required: ["query"]
+    }
+  },
+  {
+    name: "grok_twitter",
+    description: "Search Twitter/X posts using Grok's X search capabilities, optionally filtered by specific handles. Comprehensive mode analyzes social media trends and sentiment.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "The search query to find tweets/posts about"
+        },
+        handles: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          description: "Optional list of Twitter handles to search from, e.g. ['elonmusk', 'twitter']. '@name' and x.com/twitter.com profile URLs are accepted. Lists longer than 10 handles are split into several requests whose results are merged."
+        },
+        excluded_handles: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          maxItems: 10,
+          description: "Optional: never return posts from these handles (up to 10). Cannot be combined with handles."
+        },
+        min_favorites: {
+          type: "integer",
+          minimum: 0,
+          description: "Optional: only consider posts with at least this many favorites (likes)"
+        },
+        min_views: {
+          type: "integer",
+          minimum: 0,
+          description: "Optional: only consider posts with at least this many views"
+        },
+        analysis_mode: {
+          type: "string",
+          enum: ["basic", "comprehensive"],
+          default: "basic",
+          description: "Analysis mode: 'basic' returns simple search results, 'comprehensive' provides detailed analysis with timelines, quotes, multiple perspectives, and context"
+        },
+        max_results: {
+          type: "number",
+          default: 10,
+          minimum: 1,
+          maximum: 20,
+          description: "Maximum number of tweet results to return"
+        },
+        from_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional start date for search in ISO8601 format (YYYY-MM-DD). Limits search to content from this date onwards."
+        },
+        to_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional end date for search in ISO8601 format (YYYY-MM-DD). Limits search to content up to this date."
+        },
+        cache: {
+          type: "string",
+          enum: ["bypass", "refresh", "prefer"],
+          description: "Optional cache policy: 'bypass' skips the cache entirely, 'refresh' fetches fresh results and updates the cache, 'prefer' returns any cached result (even stale) without refetching. By default fresh results are served from cache and stale ones are returned immediately while being refreshed in the background."
+        },
+        structured_output: {
+          type: "boolean",
+          description: "Request schema-constrained JSON output from the API and re-ask once with the validation errors if the answer does not match. Defaults to the GROK_STRUCTURED_OUTPUT setting."
+        },
+        profile: {
+          type: "string",
+          description: "Optional named profile from the config file for this call (model, token limits, temperature and argument defaults). Defaults to the server's active profile."
+        },
+        model: {
+          type: "string",
+          description: "Optional model for this call, e.g. a cheaper model for quick lookups. Must be in the configured allowlist; see list_models. Defaults to the profile's model."
+        },
+        session_id: {
+          type: "string",
+          pattern: "^[A-Za-z0-9_-]{1,64}$",
+          description: "Optional conversation session. Earlier turns of the session are sent along so this search can build on them; a new ID starts a session. Continue it with grok_follow_up."
+        }
+      },
+      required: ["query"]
+    }
+  },
+  {
+    name: "grok_batch_search",
+    description: "Run several related searches at once. Each query spec has its own search type, handles, dates and analysis mode; queries run concurrently within the server's rate limits. Returns every query's result (a failed query does not fail the others) plus a merged view with duplicate results and citations collapsed and results ranked across queries.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        queries: {
+          type: "array",
+          minItems: 1,
+          maxItems: 10,
+          description: "Query specs to run (1-10)",
+          items: {
+            type: "object",
+            properties: {
+              query: {
+                type: "string",
+                description: "The search query"
+              },
+              search_type: {
+                type: "string",
+                enum: ["web", "news", "general", "twitter"],
+                default: "web",
+                description: "Type of search for this query"
+              },
+              analysis_mode: {
+                type: "string",
+                enum: ["basic", "comprehensive"],
+                default: "basic",
+                description: "Analysis mode for this query"
+              },
+              max_results: {
+                type: "number",
+                default: 10,
+                minimum: 1,
+                maximum: 20,
+                description: "Maximum number of results for this query"
+              },
+              handles: {
+                type: "array",
+                items: {
+                  type: "string"
+                },
+                description: "For twitter searches: handles to search from ('@name' and profile URLs are accepted; more than 10 are split across requests)"
+              },
+              from_date: {
+                type: "string",
+                pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+                description: "Optional start date (YYYY-MM-DD)"
+              },
+              to_date: {
+                type: "string",
+                pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+                description: "Optional end date (YYYY-MM-DD)"
+              }
+            },
+            required: ["query"]
+          }
+        },
+        max_merged_results: {
+          type: "number",
+          default: 20,
+          minimum: 1,
+          maximum: 100,
+          description: "Maximum number of results in the merged view"
+        },
+        cache: {
+          type: "string",
+          enum: ["bypass", "refresh", "prefer"],
+          description: "Optional cache policy applied to every query (see grok_search)"
+        },
+        structured_output: {
+          type: "boolean",
+          description: "Request schema-constrained JSON output for every query. Defaults to the GROK_STRUCTURED_OUTPUT setting."
+        },
+        profile: {
+          type: "string",
+          description: "Optional named profile from the config file applied to every query"
+        },
+        model: {
+          type: "string",
+          description: "Optional model for every query. Must be in the configured allowlist; see list_models."
+        }
+      },
+      required: ["queries"]
+    }
+  },
+  {
+    name: "grok_follow_up",
+    description: "Continue a conversation session started by passing session_id to a search tool, e.g. 'narrow that to the EU angle' or 'what did the critics say?'. Earlier turns and their citations are sent along; the search type, handles, dates and mode of the last turn are reused unless overridden.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        session_id: {
+          type: "string",
+          description: "The session to continue"
+        },
+        message: {
+          type: "string",
+          description: "The follow-up request"
+        },
+        analysis_mode: {
+          type: "string",
+          enum: ["basic", "comprehensive"],
+          description: "Optional analysis mode for this turn (default: the last turn's)"
+        },
+        max_results: {
+          type: "number",
+          minimum: 1,
+          maximum: 20,
+          description: "Optional maximum number of results for this turn (default: the last turn's)"
+        },
+        from_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional start date (YYYY-MM-DD) for this and later turns"
+        },
+        to_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional end date (YYYY-MM-DD) for this and later turns"
+        },
+        model: {
+          type: "string",
+          description: "Optional model for this turn. Must be in the configured allowlist; see list_models."
+        }
+      },
+      required: ["session_id", "message"]
+    }
+  },
+  {
+    name: "list_sessions",
+    description: "List open conversation sessions with their turn counts, context size and collected citations",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: "close_session",
+    description: "Close a conversation session and discard its history",
+    inputSchema: {
+      type: "object",
+      properties: {
+        session_id: {
+          type: "string",
+          description: "The session to close"
+        }
+      },
+      required: ["session_id"]
+    }
+  },
+  {
+    name: "grok_deep_research",
+    description: "Multi-step research on a question: plans sub-questions, searches them across web, news and X in comprehensive mode, follows up on unconfirmed claims, contradictions and low-confidence findings, and synthesizes one comprehensive report whose findings are tied to the collected citations. Stops at max_steps or once token_budget is spent.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "The research question"
+        },
+        sources: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["web", "news", "x"]
+          },
+          description: "Sources the research may use (default: all three)"
+        },
+        max_steps: {
+          type: "number",
+          minimum: 1,
+          maximum: 12,
+          description: "Maximum number of search steps (default: GROK_RESEARCH_MAX_STEPS or 6)"
+        },
+        token_budget: {
+          type: "number",
+          minimum: 1000,
+          description: "Stop starting new steps once planning and searches have used this many tokens (default: GROK_RESEARCH_TOKEN_BUDGET or 60000). The final synthesis is not limited by it."
+        },
+        max_results: {
+          type: "number",
+          minimum: 1,
+          maximum: 20,
+          description: "Maximum number of results per search step (default: 10)"
+        },
+        from_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional start date for every step (YYYY-MM-DD)"
+        },
+        to_date: {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          description: "Optional end date for every step (YYYY-MM-DD)"
+        },
+        cache: {
+          type: "string",
+          enum: ["bypass", "refresh", "prefer"],
+          description: "Optional cache policy for the search steps (see grok_search)"
+        },
+        profile: {
+          type: "string",
+          description: "Optional named profile from the config file for this call"
+        },
+        model: {
+          type: "string",
+          description: "Optional model for planning, searches and synthesis. Must be in the configured allowlist; see list_models."
+        }
+      },
+      required: ["query"]
+    }
+  },
+  {
+    name: "health_check",
+    description: "Check the health status of the Grok Search MCP server and API connectivity",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: "cache_invalidate",
+    description: "Invalidate cached search results by query prefix and/or search type, or clear the whole cache",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query_prefix: {
+          type: "string",
+          description: "Remove entries whose query starts with this text (case-insensitive)"
+        },
+        search_type: {
+          type: "string",
+          enum: SEARCH_TYPES,
+          description: "Remove entries for this search type"
+        },
+        all: {
+          type: "boolean",
+          default: false,
+          description: "Remove every cached entry except pinned ones"
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: "cache_admin",
+    description: "Administer the search cache: list entries, purge all or by pattern, and pin entries so they are never evicted or expired",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["list", "purge", "pin", "unpin"],
+          description: "Operation to perform"
+        },
+        pattern: {
+          type: "string",
+          description: "Match entries by query (case-insensitive). Supports * and ? wildcards over the whole query; without wildcards it matches any query containing the text."
+        },
+        search_type: {
+          type: "string",
+          enum: SEARCH_TYPES,
+          description: "Match entries for this search type"
+        },
+        ids: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          description: "Match entries by id as returned by the list action"
+        },
+        all: {
+          type: "boolean",
+          default: false,
+          description: "For purge: match every entry"
+        },
+        include_pinned: {
+          type: "boolean",
+          default: false,
+          description: "For purge: also remove pinned entries"
+        }
+      },
+      required: ["action"]
+    }
+  },
+  {
+    name: "list_models",
+    description: "List the models offered by the xAI API, marking which ones the server allows for the search tools' model argument. The list is cached for an hour.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        refresh: {
+          type: "boolean",
+          default: false,
+          description: "Fetch the list from the API even if a cached copy is available"
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: "metrics",
+    description: "Export server metrics (tool calls, latencies, retries, cache hit ratio, parse strategies, upstream status codes) in Prometheus text format",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: []
+    }
+  }
+];
+
+const CONFIG_FILE_NAME = "grok-search.config.json";
+
+// The settings search() used to hardcode; every profile starts from these
+const DEFAULT_PROFILE = {
+  name: "default",
+  model: "grok-3-latest",
+  temperature: 0.1,
+  max_tokens: { basic: 2000, comprehensive: 4000 }
+};
+
+const MODEL_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,99}$/;
+
+function isModelName(value) {
+  return typeof value === "string" && MODEL_NAME_PATTERN.test(value);
+}
+
+// Allowed profile keys and how to check them
+const PROFILE_FIELDS = {
+  description: value => typeof value === "string",
+  model: isModelName,
+  temperature: value => typeof value === "number" && value >= 0 && value <= 2,
+  max_tokens: value => value && typeof value === "object" &&
+    Object.entries(value).every(([mode, tokens]) => ANALYSIS_MODES.includes(mode) && Number.isInteger(tokens) && tokens > 0),
+  search_type: value => ["web", "news", "general"].includes(value),
+  max_results: value => Number.isInteger(value) && value >= 1 && value <= 20,
+  analysis_mode: value => ANALYSIS_MODES.includes(value),
+  cache: value => CACHE_MODES.includes(value),
+  structured_output: value => typeof value === "boolean",
+  cache_ttls: value => value && typeof value === "object" &&
+    Object.values(value).every(minutes => typeof minutes === "number" && minutes >= 0),
+  enabled_tools: value => Array.isArray(value) && value.every(name => typeof name === "string")
+};
+
+function resolveProfileName(config) {
+  return getCliOption('--profile') || process.env.GROK_PROFILE || config.defaultProfile || "default";
+}
+
+// User-level file first, then the project file, so project settings win
+function getConfigFilePaths() {
+  return [
+    process.env.GROK_USER_CONFIG || path.join(os.homedir(), ".config", "grok-search", "config.json"),
+    process.env.GROK_CONFIG_FILE || getCliOption('--config') || path.join(process.cwd(), CONFIG_FILE_NAME)
+  ];
+}
+
+// Named profiles from the config files:
+//   { "default_profile": "fast", "default_model": "grok-3-mini",
+//     "allowed_models": ["grok-3", "grok-3-mini"],
+//     "excluded_websites": ["contentfarm.example"],
+//     "profiles": { "fast": { "model": ..., ... } } }
+// Profiles with the same name in both files are merged key by key; the other
+// top-level settings are replaced by the later file.
+class ConfigProfiles {
+  constructor(files = getConfigFilePaths()) {
+    this.files = [];
+    this.defaultProfile = null;
+    this.defaultModel = null;
+    this.allowedModels = null;
+    this.excludedWebsites = [];
+    this.baseURL = null;
+    this.profiles = {};
+
+    for (const file of files) {
+      let config;
+      try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw new Error(`Invalid config file ${file}: ${error.message}`);
+      }
+      this.merge(config, file);
+      this.files.push(file);
+    }
+
+    if (process.env.GROK_BASE_URL) {
+      this.baseURL = process.env.GROK_BASE_URL.trim();
+    }
+    if (process.env.GROK_MODEL) {
+      this.defaultModel = process.env.GROK_MODEL.trim();
+    }
+    if (process.env.GROK_ALLOWED_MODELS) {
+      this.allowedModels = process.env.GROK_ALLOWED_MODELS.split(",").map(model => model.trim()).filter(Boolean);
+    }
+    if (process.env.GROK_EXCLUDED_WEBSITES) {
+      this.excludedWebsites = normalizeWebsiteList(
+        process.env.GROK_EXCLUDED_WEBSITES.split(",").map(website => website.trim()).filter(Boolean),
+        "GROK_EXCLUDED_WEBSITES"
+      );
+    }
+    if (this.excludedWebsites.length > MAX_WEBSITE_FILTERS) {
+      throw new Error(`Default excluded websites can contain at most ${MAX_WEBSITE_FILTERS} domains`);
+    }
+    this.validateModels();
+  }
+
+  merge(config, file) {
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+      throw new Error(`Invalid config file ${file}: expected a JSON object`);
+    }
+    for (const [name, profile] of Object.entries(config.profiles || {})) {
+      this.validateProfile(name, profile, file);
+      this.profiles[name] = { ...this.profiles[name], ...profile };
+    }
+    if (config.default_profile !== undefined) {
+      this.defaultProfile = config.default_profile;
+    }
+    if (config.default_model !== undefined) {
+      if (!isModelName(config.default_model)) {
+        throw new Error(`Invalid config file ${file}: bad value for "default_model"`);
+      }
+      this.defaultModel = config.default_model;
+    }
+    if (config.allowed_models !== undefined) {
+      if (!Array.isArray(config.allowed_models) || config.allowed_models.length === 0 ||
+          !config.allowed_models.every(isModelName)) {
+        throw new Error(`Invalid config file ${file}: "allowed_models" must be a non-empty list of model names`);
+      }
+      this.allowedModels = [...config.allowed_models];
+    }
+    if (config.base_url !== undefined) {
+      if (typeof config.base_url !== "string" || !/^https?:\/\/\S+$/.test(config.base_url.trim())) {
+        throw new Error(`Invalid config file ${file}: "base_url" must be an http or https URL`);
+      }
+      this.baseURL = config.base_url.trim();
+    }
+    if (config.excluded_websites !== undefined) {
+      try {
+        this.excludedWebsites = normalizeWebsiteList(config.excluded_websites, "excluded_websites");
+      } catch (error) {
+        throw new Error(`Invalid config file ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  // Every configured model has to pass the allowlist, so a typo fails at
+  // startup instead of on the first search
+  validateModels() {
+    if (this.allowedModels?.some(model => !isModelName(model))) {
+      throw new Error("Invalid allowed models: expected model names");
+    }
+    if (this.defaultModel) {
+      if (!isModelName(this.defaultModel)) {
+        throw new Error(`Invalid default model "${this.defaultModel}"`);
+      }
+      this.checkModel(this.defaultModel, " as the default model");
+    }
+    for (const [name, profile] of Object.entries(this.profiles)) {
+      if (profile.model) this.checkModel(profile.model, ` in profile "${name}"`);
+    }
+  }
+
+  // Without an explicit default, the built-in model is used unless the
+  // allowlist leaves it out, in which case the first allowed model is
+  getDefaultModel() {
+    if (this.defaultModel) return this.defaultModel;
+    if (this.allowedModels && !this.allowedModels.includes(DEFAULT_PROFILE.model)) {
+      return this.allowedModels[0];
+    }
+    return DEFAULT_PROFILE.model;
+  }
+
+  isModelAllowed(model) {
+    return !this.allowedModels || this.allowedModels.includes(model);
+  }
+
+  checkModel(model, context = "") {
+    if (!this.isModelAllowed(model)) {
+      throw new Error(`Model "${model}" is not allowed${context}. Allowed models: ${this.allowedModels.join(", ")}`);
+    }
+  }
+
+  // The model for one call: the caller's choice if allowed, else the profile's
+  resolveModel(requested, profile) {
+    if (requested === undefined || requested === null || requested === "") {
+      return profile.model;
+    }
+    if (!isModelName(requested)) {
+      throw new Error("model must be a model name such as grok-3-mini");
+    }
+    this.checkModel(requested);
+    return requested;
+  }
+
+  validateProfile(name, profile, file) {
+    if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+      throw new Error(`Invalid profile "${name}" in ${file}: expected an object`);
+    }
+    for (const [key, value] of Object.entries(profile)) {
+      if (!PROFILE_FIELDS[key]) {
+        throw new Error(`Invalid profile "${name}" in ${file}: unknown setting "${key}"`);
+      }
+      if (!PROFILE_FIELDS[key](value)) {
+        throw new Error(`Invalid profile "${name}" in ${file}: bad value for "${key}"`);
+      }
+    }
+  }
+
+  names() {
+    return ["default", ...Object.keys(this.profiles).filter(name => name !== "default")];
+  }
+
+  // Resolves a profile on top of the built-in defaults
+  get(name) {
+    if (name !== "default" && !this.profiles[name]) {
+      throw new Error(`Unknown profile "${name}". Available profiles: ${this.names().join(", ")}`);
+    }
+    const profile = this.profiles[name] || {};
+    return {
+      ...DEFAULT_PROFILE,
+      ...profile,
+      name,
+      model: profile.model || this.getDefaultModel(),
+      max_tokens: { ...DEFAULT_PROFILE.max_tokens, ...profile.max_tokens }
+    };
+  }
+}
+
+// Built-in research workflow prompts. Templates use a small mustache-style
+// syntax: {{name}} inserts an argument, {{#name}}...{{/name}} renders only when
+// the argument is set and {{^name}}...{{/name}} only when it is not. {{today}}
+// is always available.
+const BUILTIN_PROMPTS = [
+  {
+    name: "handle_digest",
+    description: "Digest of recent posts from one X/Twitter handle, grouped by theme with links",
+    arguments: [
+      { name: "handle", description: "X handle without the @ (e.g. atrupar)", required: true },
+      { name: "days", description: "How many days back to cover (default: 7)", required: false },
+      { name: "topic", description: "Optional topic to focus on", required: false }
+    ],
+    template: `Build a digest of recent posts from @{{handle}}.
+
+1. Call \`grok_twitter\` with:
+   - query: "{{#topic}}{{topic}}{{/topic}}{{^topic}}latest posts from @{{handle}}{{/topic}}"
+   - handles: ["{{handle}}"]
+   - from_date: the date {{#days}}{{days}}{{/days}}{{^days}}7{{/days}} days before {{today}} (YYYY-MM-DD)
+   - to_date: "{{today}}"
+   - max_results: 20
+2. If fewer than 5 posts come back, repeat the call with analysis_mode "comprehensive" to recover context around the posts.
+3. Group the posts by theme. For each theme give a one-line summary, then list the posts with their date, a short quote of the post text and the post URL.
+4. Finish with a short paragraph on what @{{handle}} focused on most and anything that drew unusual engagement.
+
+Only report posts that appear in the tool results; do not invent posts or URLs.`
+  },
+  {
+    name: "breaking_news_briefing",
+    description: "Briefing on a developing news story: what happened, timeline, official statements and reactions",
+    arguments: [
+      { name: "topic", description: "The story or event to brief on", required: true },
+      { name: "since", description: "Start date YYYY-MM-DD (default: today)", required: false }
+    ],
+    template: `Prepare a breaking news briefing on: {{topic}}
+
+1. Call \`grok_news_search\` with query "{{topic}}", analysis_mode "comprehensive", from_date "{{#since}}{{since}}{{/since}}{{^since}}{{today}}{{/since}}" and max_results 15.
+2. Call \`grok_twitter\` with query "{{topic}}" and the same from_date to capture first-hand reports and reactions.
+3. Write the briefing with these sections:
+   - **What happened** – three to five sentences
+   - **Timeline** – from the timeline field, newest last
+   - **Official statements** – from direct_quotes, with speaker and source link
+   - **Reactions** – notable posts from step 2
+   - **Unconfirmed / contradictory** – from verification_status
+4. Mark anything that only appears in social posts as unconfirmed.`
+  },
+  {
+    name: "topic_comparison",
+    description: "Side-by-side comparison of two topics, products or positions",
+    arguments: [
+      { name: "topic_a", description: "First topic", required: true },
+      { name: "topic_b", description: "Second topic", required: true },
+      { name: "search_type", description: "web, news or general (default: general)", required: false }
+    ],
+    template: `Compare "{{topic_a}}" with "{{topic_b}}".
+
+1. Call \`grok_search\` with query "{{topic_a}}", search_type "{{#search_type}}{{search_type}}{{/search_type}}{{^search_type}}general{{/search_type}}" and analysis_mode "comprehensive".
+2. Call \`grok_search\` again with the same settings for "{{topic_b}}".
+3. Produce a comparison table covering key facts, recent developments, supporters' and critics' views, and open questions.
+4. Follow the table with a short verdict on where the two differ most, citing the sources behind each claim.`
+  },
+  {
+    name: "date_bounded_retrospective",
+    description: "Retrospective of how a topic developed within a fixed date range",
+    arguments: [
+      { name: "topic", description: "The topic to review", required: true },
+      { name: "from_date", description: "Start date YYYY-MM-DD", required: true },
+      { name: "to_date", description: "End date YYYY-MM-DD", required: true }
+    ],
+    template: `Write a retrospective on "{{topic}}" covering {{from_date}} to {{to_date}}.
+
+1. Call \`grok_news_search\` with query "{{topic}}", analysis_mode "comprehensive", from_date "{{from_date}}", to_date "{{to_date}}" and max_results 20.
+2. Call \`grok_twitter\` with query "{{topic}}" and the same dates to capture how the conversation evolved.
+3. Build a chronological narrative from the timeline, marking the turning points.
+4. Close with what changed between {{from_date}} and {{to_date}}, what stayed unresolved, and which claims were later contradicted.
+
+Stay strictly inside the date range; ignore results dated outside it.`
+  }
+];
+
+const PROMPT_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function renderPromptTemplate(template, values) {
+  const isSet = (name) => values[name] !== undefined && values[name] !== null && String(values[name]).trim() !== "";
+  return template
+    .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, kind, name, body) =>
+      (kind === "#") === isSet(name) ? body : "")
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => isSet(name) ? String(values[name]) : "");
+}
+
+// Built-in prompts plus team templates loaded from a directory of JSON files
+// ({ name, description, arguments, template }). The directory is re-read on
+// every request so new templates show up without a restart.
+class PromptLibrary {
+  constructor(directory = null) {
+    this.directory = directory;
+  }
+
+  loadCustomPrompts() {
+    if (!this.directory) return [];
+
+    let files;
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      Logger.warn("Cannot read prompts directory", { directory: this.directory, error: error.message });
+      return [];
+    }
+
+    const prompts = [];
+    for (const file of files) {
+      try {
+        const prompt = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.validatePrompt(prompt);
+        prompts.push({ ...prompt, arguments: prompt.arguments || [], source: file });
+      } catch (error) {
+        Logger.warn("Skipping invalid prompt template", { file, error: error.message });
+      }
+    }
+    return prompts;
+  }
+
+  validatePrompt(prompt) {
+    if (!prompt || typeof prompt !== 'object') {
+      throw new Error("template file must contain a JSON object");
+    }
+    if (!PROMPT_NAME_PATTERN.test(prompt.name || '')) {
+      throw new Error("name must be 1-64 letters, digits, underscores or dashes");
+    }
+    if (typeof prompt.template !== 'string' || prompt.template.trim() === '') {
+      throw new Error("template must be a non-empty string");
+    }
+    if (prompt.arguments !== undefined && (!Array.isArray(prompt.arguments) ||
+        prompt.arguments.some(arg => !arg || !PROMPT_NAME_PATTERN.test(arg.name || '')))) {
+      throw new Error("arguments must be a list of { name, description, required }");
+    }
+  }
+
+  // Custom templates override built-ins with the same name
+  getAll() {
+    const prompts = new Map(BUILTIN_PROMPTS.map(prompt => [prompt.name, prompt]));
+    for (const prompt of this.loadCustomPrompts()) {
+      prompts.set(prompt.name, prompt);
+    }
+    return [...prompts.values()];
+  }
+
+  list() {
+    return this.getAll().map(({ name, description, arguments: args }) => ({
+      name,
+      description: description || "",
+      arguments: args.map(({ name: argName, description: argDescription, required }) => ({
+        name: argName,
+        description: argDescription || "",
+        required: !!required
+      }))
+    }));
+  }
+
+  get(name, args = {}) {
+    const prompt = this.getAll().find(candidate => candidate.name === name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && !(args[arg.name] && String(args[arg.name]).trim()))
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required arguments: ${missing.join(", ")}`);
+    }
+
+    const values = { today: new Date().toISOString().split('T')[0], ...args };
+    return {
+      description: prompt.description || "",
+      messages: [
+        {
+          role: "user",
+          content: {
+            type: "text",
+            text: renderPromptTemplate(prompt.template, values)
+          }
+        }
+      ]
+    };
+  }
+}
+
+// Prometheus text for the shared registry plus this client's gauges
+function renderMetrics(grokAPI) {
+  return metrics.render([
+    ...grokAPI.getMetricFamilies(),
+    {
+      name: "grok_process_uptime_seconds",
+      type: "gauge",
+      help: "Seconds since the server started",
+      samples: [{ labels: {}, value: Math.round((Date.now() - PROCESS_START_TIME) / 1000) }]
+    }
+  ]);
+}
+
+// Serves GET /metrics on its own port (GROK_METRICS_PORT). Several stdio
+// processes may race for the port; the losers just log and carry on.
+function startMetricsEndpoint(grokAPI) {
+  const port = parseInt(process.env.GROK_METRICS_PORT || '');
+  if (!Number.isInteger(port)) return;
+  const host = process.env.GROK_METRICS_HOST || "127.0.0.1";
+
+  const metricsServer = http.createServer((req, res) => {
+    if (req.method !== 'GET' || new URL(req.url, "http://localhost").pathname !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+    res.end(renderMetrics(grokAPI));
+  });
+  metricsServer.on('error', error =>
+    Logger.warn("Metrics endpoint unavailable", { host, port, error: error.message }));
+  metricsServer.listen(port, host, () => {
+    metricsServer.unref();
+    console.error(`Metrics available on http://${host}:${metricsServer.address().port}/metrics`);
+  });
+}
+
+// Main server class
+// The API client (and with it the cache) and the prompt library can be shared
+// between several instances; history and counters always belong to one
+// instance, i.e. one MCP session.
+class GrokSearchServer {
+  constructor(options = {}) {
+    try {
+      this.config = options.config || new ConfigProfiles();
+      this.grokAPI = options.grokAPI || new GrokSearchAPI({ baseURL: this.config.baseURL });
+      this.history = new SearchHistory(parseInt(process.env.GROK_HISTORY_SIZE || '50'));
+      this.sessions = new ResearchSessions({
+        maxSessions: parseInt(process.env.GROK_MAX_SESSIONS || '20'),
+        ttlMs: parseFloat(process.env.GROK_SESSION_TTL || '60') * 60 * 1000,
+        tokenBudget: parseInt(process.env.GROK_SESSION_TOKEN_BUDGET || '8000')
+      });
+      this.prompts = options.prompts || new PromptLibrary(process.env.GROK_PROMPTS_DIR || null);
+      this.profile = this.config.get(options.profileName || resolveProfileName(this.config));
+      this.getTransportStatus = options.getTransportStatus || (() => ({ type: "stdio" }));
+      this.startTime = Date.now();
+      this.requestCount = 0;
+      this.errorCount = 0;
+    } catch (error) {
+      console.error("Failed to initialize Grok API:", error.message);
+      process.exit(1);
+    }
+  }
+
+  // Tools hidden by the active profile's enabled_tools list
+  isToolEnabled(name) {
+    return !this.profile.enabled_tools || this.profile.enabled_tools.includes(name);
+  }
+
+  async handleSearch(toolName, args, extra = {}) {
+    this.requestCount++;
+    try {
+      const results = await this.runSearch(toolName, args, this.createProgressNotifier(extra));
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(results, null, 2)
+        }]
+      };
+
+    } catch (error) {
+      this.errorCount++;
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: error.message,
+            ...(error.code && { error_code: error.code }),
+            ...(error.code === "circuit_open" && { retry_after_seconds: Math.ceil(error.retryAfterMs / 1000) }),
+            status: 'failed',
+            query: args.query || "unknown",
+            search_type: args.search_type || "web",
+            analysis_mode: args.analysis_mode || "basic",
+            model: args.model || null,
+            from_date: args.from_date || null,
+            to_date: args.to_date || null,
+            timestamp: new Date().toISOString(),
+            request_id: `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+          }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+
+  // Applies profile defaults, runs one search and records it in the history.
+  // Shared by the search tools and grok_batch_search; errors are thrown.
+  async runSearch(toolName, args, onProgress = null) {
+    // A per-call profile replaces the server's profile for this search
+    const profile = args.profile ? this.config.get(args.profile) : this.profile;
+    const { 
+      query, 
+      max_results = profile.max_results ?? 10, 
+      search_type = profile.search_type ?? "web", 
+      analysis_mode = profile.analysis_mode ?? "basic",
+      handles, 
+      from_date, 
+      to_date,
+      cache = profile.cache,
+      structured_output = profile.structured_output
+    } = args;
+    
+    if (!query || typeof query !== "string" || query.trim().length === 0) {
+      throw new Error("Search query is required and cannot be empty");
+    }
+
+    const model = this.config.resolveModel(args.model, profile);
+    // An existing session contributes its earlier turns; a new one is only
+    // created once the first search succeeds
+    const session = args.session_id ? this.sessions.get(args.session_id) : null;
+
+    // Determine search type based on tool name
+    let actualSearchType = search_type;
+    let searchHandles = handles;
+    
+    if (toolName === "grok_web_search") {
+      actualSearchType = "web";
+    } else if (toolName === "grok_news_search") {
+      actualSearchType = "news";
+    } else if (toolName === "grok_twitter") {
+      actualSearchType = "twitter";
+      searchHandles = handles;
+    }
+
+    if (["twitter", "x"].includes(actualSearchType) &&
+        SOURCE_FILTER_ARGS.some(name => args[name] !== undefined)) {
+      throw new Error("allowed_websites, excluded_websites, country and safe_search apply to web and news sources only");
+    }
+    if (["web", "news"].includes(actualSearchType) &&
+        X_FILTER_ARGS.some(name => args[name] !== undefined)) {
+      throw new Error("excluded_handles, min_favorites and min_views apply to the X source only");
+    }
+    if (["twitter", "x"].includes(actualSearchType) && args.rss_feeds !== undefined) {
+      throw new Error("rss_feeds cannot be used with X searches");
+    }
+    // Configured exclusions apply to every call unless the caller restricts
+    // the search to an allow list, which the API cannot combine with them
+    const hasAllowList = Array.isArray(args.allowed_websites) && args.allowed_websites.length > 0;
+    const sourceFilters = {
+      allowedWebsites: args.allowed_websites,
+      excludedWebsites: hasAllowList || !Array.isArray(args.excluded_websites ?? []) ?
+        args.excluded_websites :
+        [...this.config.excludedWebsites, ...(args.excluded_websites ?? [])],
+      country: args.country,
+      safeSearch: args.safe_search,
+      excludedHandles: args.excluded_handles,
+      minFavorites: args.min_favorites,
+      minViews: args.min_views,
+      rssFeeds: args.rss_feeds
+    };
+
+    // Call search with date parameters and analysis mode
+    const results = await this.grokAPI.search(
+      query.trim(), 
+      actualSearchType, 
+      max_results, 
+      searchHandles, 
+      from_date, 
+      to_date,
+      analysis_mode,
+      {
+        cacheMode: cache,
+        structuredOutput: structured_output,
+        onProgress,
+        toolName,
+        profile,
+        model,
+        conversation: session ? this.sessions.buildContext(session) : [],
+        sourceFilters
+      }
+    );
+
+    let sessionInfo = null;
+    if (args.session_id) {
+      const target = session || this.sessions.open(args.session_id);
+      this.sessions.addTurn(target, {
+        query: query.trim(),
+        results,
+        settings: {
+          search_type: actualSearchType,
+          handles: searchHandles || null,
+          analysis_mode,
+          max_results,
+          from_date: from_date || null,
+          to_date: to_date || null,
+          profile: args.profile || null,
+          model: args.model || null,
+          ...Object.fromEntries(SESSION_FILTER_ARGS.map(name => [name, args[name] ?? null]))
+        }
+      });
+      sessionInfo = { ...this.sessions.describe(target), turn: target.turnCount };
+    }
+
+    const record = this.history.add({
+      toolName,
+      query: query.trim(),
+      searchType: actualSearchType,
+      analysisMode: analysis_mode,
+      results: { ...results, ...(sessionInfo && { session: sessionInfo }), resource_uri: null }
+    });
+    record.results.resource_uri = record.uri;
+    this.notifyHistoryChanged();
+    return record.results;
+  }
+
+  // Continues a session with its last turn's settings; the caller may
+  // change the analysis mode, result count, dates or model for this turn
+  async handleFollowUp(args, extra = {}) {
+    this.requestCount++;
+    try {
+      const { session_id, message } = args;
+      if (!session_id) {
+        throw new Error("session_id is required");
+      }
+      if (!message || typeof message !== "string" || !message.trim()) {
+        throw new Error("message is required and cannot be empty");
+      }
+      const session = this.sessions.get(session_id);
+      if (!session) {
+        throw new Error(`Unknown or expired session "${session_id}". Start one by passing session_id to a search tool.`);
+      }
+
+      const settings = session.settings;
+      const results = await this.runSearch("grok_follow_up", {
+        query: message,
+        search_type: settings.search_type,
+        handles: settings.handles,
+        analysis_mode: args.analysis_mode ?? settings.analysis_mode,
+        max_results: args.max_results ?? settings.max_results,
+        from_date: args.from_date ?? settings.from_date,
+        to_date: args.to_date ?? settings.to_date,
+        profile: settings.profile || undefined,
+        model: args.model ?? settings.model ?? undefined,
+        ...Object.fromEntries(SESSION_FILTER_ARGS.map(name => [name, settings[name] ?? undefined])),
+        session_id
+      }, this.createProgressNotifier(extra));
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(results, null, 2)
+        }]
+      };
+    } catch (error) {
+      this.errorCount++;
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: error.message,
+            ...(error.code && { error_code: error.code }),
+            status: 'failed',
+            session_id: args.session_id || null,
+            message: args.message || null,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+
+  handleListSessions() {
+    const sessions = this.sessions.list();
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ count: sessions.length, sessions }, null, 2)
+      }]
+    };
+  }
+
+  handleCloseSession(args) {
+    try {
+      const session = this.sessions.close(args.session_id);
+      if (!session) {
+        throw new Error(`Unknown or expired session "${args.session_id}"`);
+      }
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({ closed: true, session_id: session.id, turns: session.turnCount }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: error.message,
+            status: 'failed',
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+
+  // Runs every query spec concurrently; the scheduler keeps the API calls
+  // within the rate and concurrency limits. A failed query is reported in its
+  // slot without failing the others.
+  async handleBatchSearch(args, extra = {}) {
+    this.requestCount++;
+    try {
+      const { queries, profile, model, cache, structured_output, max_merged_results = 20 } = args;
+
+      if (!Array.isArray(queries) || queries.length === 0) {
+        throw new Error("queries must be a non-empty array of query specs");
+      }
+      if (queries.length > MAX_BATCH_QUERIES) {
+        throw new Error(`queries can contain at most ${MAX_BATCH_QUERIES} query specs`);
+      }
+      if (!Number.isInteger(max_merged_results) || max_merged_results < 1 || max_merged_results > 100) {
+        throw new Error("max_merged_results must be an integer between 1 and 100");
+      }
+
+      const notifyProgress = this.createStepProgressNotifier(extra);
+      let completed = 0;
+
+      const outcomes = await Promise.all(queries.map(async (spec, index) => {
+        const query = typeof spec?.query === "string" ? spec.query.trim() : null;
+        try {
+          if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+            throw new Error("Query spec must be an object");
+          }
+          const unknown = Object.keys(spec).filter(key => !BATCH_QUERY_FIELDS.includes(key));
+          if (unknown.length > 0) {
+            throw new Error(`Unknown query spec field(s): ${unknown.join(", ")}`);
+          }
+
+          const results = await this.runSearch("grok_batch_search", { ...spec, profile, model, cache, structured_output });
+          return { index, query, status: "success", results };
+        } catch (error) {
+          return {
+            index,
+            query,
+            status: "failed",
+            error: error.message,
+            ...(error.code && { error_code: error.code })
+          };
+        } finally {
+          completed++;
+          if (notifyProgress) {
+            notifyProgress({ progress: completed, total: queries.length, message: `Completed ${completed}/${queries.length} queries` });
+          }
+        }
+      }));
+
+      const succeeded = outcomes.filter(outcome => outcome.status === "success");
+      const usage = succeeded.reduce(
+        (totals, outcome) => addUsageTotals(totals, outcome.results.usage || emptyUsageTotals()),
+        emptyUsageTotals()
+      );
+      if (succeeded.length === 0) {
+        this.errorCount++;
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            status: succeeded.length === queries.length ? "success" : succeeded.length > 0 ? "partial" : "failed",
+            total_queries: queries.length,
+            succeeded: succeeded.length,
+            failed: queries.length - succeeded.length,
+            merged: mergeBatchResults(outcomes, max_merged_results),
+            queries: outcomes,
+            usage,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }],
+        ...(succeeded.length === 0 && { isError: true })
+      };
+    } catch (error) {
+      this.errorCount++;
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: error.message,
+            status: 'failed',
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+
+  // Progress for tools made of several steps, such as batch and deep research
+  createStepProgressNotifier(extra) {
+    const progressToken = extra?._meta?.progressToken;
+    if (progressToken === undefined || !extra.sendNotification) {
+      return null;
+    }
+
+    return ({ progress, total, message }) => {
+      extra.sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress, total, message }
+      }).catch(error => Logger.warn("Failed to send progress notification", { error: error.message }));
+    };
+  }
+
+  async handleDeepResearch(args, extra = {}) {
+    this.requestCount++;
+    try {
+      const profile = args.profile ? this.config.get(args.profile) : this.profile;
+      const model = this.config.resolveModel(args.model, profile);
+      const research = new DeepResearch(this.grokAPI, {
+        profile,
+        model,
+        cacheMode: args.cache,
+        sourceFilters: { excludedWebsites: this.config.excludedWebsites },
+        onProgress: this.createStepProgressNotifier(extra)
+      });
+      const results = await research.run(args.query, {
+        sources: args.sources,
+        maxSteps: args.max_steps,
+        tokenBudget: args.token_budget,
+        maxResults: args.max_results ?? profile.max_results ?? 10,
+        fromDate: args.from_date || null,
+        toDate: args.to_date || null
+      });
+
+      const record = this.history.add({
+        toolName: "grok_deep_research",
+        query: results.query,
+        searchType: "research",
+        analysisMode: "comprehensive",
+        results: { ...results, resource_uri: null }
+      });
+      record.results.resource_uri = record.uri;
+      this.notifyHistoryChanged();
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(record.results, null, 2)
+        }]
+      };
+    } catch (error) {
+      this.errorCount++;
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: error.message,
+            ...(error.code && { error_code: error.code }),
+            status: 'failed',
+            query: args.query || "unknown",
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }],
+        isError: true
+      };
     }
-  },
-  {
-    name: "grok_twitter",
-    description: "Search Twitter/X posts using Grok's X search capabilities, optionally filtered by specific handles. Comprehensive mode analyzes social media trends and sentiment.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        query: {
-          type: "string",
-          description: "The search query to find tweets/posts about"
-        },
-        handles: {
-          type: "array",
-          items: {
-            type: "string"
-          },
-          description: "Optional list of Twitter handles to search from (without @ symbol, e.g., ['elonmusk', 'twitter'])"
-        },
-        analysis_mode: {
-          type: "string",
-          enum: ["basic", "comprehensive"],
-          default: "basic",
-          description: "Analysis mode: 'basic' returns simple search results, 'comprehensive' provides detailed analysis with timelines, quotes, multiple perspectives, and context"
-        },
-        max_results: {
-          type: "number",
-          default: 10,
-          minimum: 1,
-          maximum: 20,
-          description: "Maximum number of tweet results to return"
-        },
-        from_date: {
-          type: "string",
-          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
-          description: "Optional start date for search in ISO8601 format (YYYY-MM-DD). Limits search to content from this date onwards."
+  }
+
+  notifyHistoryChanged() {
+    if (!this.onHistoryChange) return;
+    Promise.resolve(this.onHistoryChange())
+      .catch(error => Logger.debug("Failed to send resource list change", { error: error.message }));
+  }
+
+  handleListResources() {
+    return {
+      resources: this.history.list().map(record => ({
+        uri: record.uri,
+        name: `${record.analysisMode === "comprehensive" ? "Analysis" : "Search"}: ${record.query}`,
+        description: `${record.toolName} (${record.searchType}, ${record.analysisMode}) at ${record.createdAt}. Append /markdown to the URI for a markdown rendering.`,
+        mimeType: "application/json"
+      }))
+    };
+  }
+
+  handleListResourceTemplates() {
+    return {
+      resourceTemplates: [
+        {
+          uriTemplate: `${SEARCH_RESOURCE_PREFIX}{id}`,
+          name: "Search result (JSON)",
+          description: "Full JSON result of an earlier search",
+          mimeType: "application/json"
         },
-        to_date: {
-          type: "string",
-          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
-          description: "Optional end date for search in ISO8601 format (YYYY-MM-DD). Limits search to content up to this date."
+        {
+          uriTemplate: `${SEARCH_RESOURCE_PREFIX}{id}/markdown`,
+          name: "Search result (markdown)",
+          description: "Markdown rendering of an earlier search",
+          mimeType: "text/markdown"
         }
-      },
-      required: ["query"]
+      ]
+    };
+  }
+
+  handleReadResource(uri) {
+    const resolved = this.history.resolve(uri);
+    if (!resolved) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
     }
-  },
-  {
-    name: "health_check",
-    description: "Check the health status of the Grok Search MCP server and API connectivity",
-    inputSchema: {
-      type: "object",
-      properties: {},
-      required: []
+
+    const { record, format } = resolved;
+    return {
+      contents: [
+        format === "markdown" ?
+          { uri, mimeType: "text/markdown", text: renderSearchMarkdown(record) } :
+          { uri, mimeType: "application/json", text: JSON.stringify(record.results, null, 2) }
+      ]
+    };
+  }
+
+  // Returns a search progress listener that forwards MCP progress
+  // notifications, or null when the client did not ask for progress
+  createProgressNotifier(extra) {
+    const progressToken = extra?._meta?.progressToken;
+    if (progressToken === undefined || !extra.sendNotification) {
+      return null;
     }
+
+    // Both counts only grow and every update changes one of them, so their
+    // sum increases with each notification as MCP requires
+    return ({ chunksReceived, completionTokens, sectionsParsed, totalSections, done }) => {
+      const tokens = completionTokens !== null && completionTokens !== undefined ? ` (${completionTokens} completion tokens)` : "";
+      extra.sendNotification({
+        method: "notifications/progress",
+        params: {
+          progressToken,
+          progress: chunksReceived + sectionsParsed,
+          message: `Received ${chunksReceived} chunks${tokens}, ${sectionsParsed}/${totalSections} sections parsed${done ? " (complete)" : ""}`
+        }
+      }).catch(error => Logger.warn("Failed to send progress notification", { error: error.message }));
+    };
   }
-];
 
-// Main server class
-class GrokSearchServer {
-  constructor() {
+  async handleCacheInvalidate(args) {
     try {
-      this.grokAPI = new GrokSearchAPI();
-      this.startTime = Date.now();
-      this.requestCount = 0;
-      this.errorCount = 0;
+      const { query_prefix, search_type, all = false } = args;
+
+      if (!all && !query_prefix && !search_type) {
+        throw new Error("Provide query_prefix, search_type, or all: true");
+      }
+
+      // Pinned entries survive; cache_admin purge with include_pinned removes them
+      const removed = this.grokAPI.cache.invalidate({ all, queryPrefix: query_prefix, searchType: search_type });
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            removed,
+            query_prefix: query_prefix || null,
+            search_type: search_type || null,
+            all,
+            cache: this.grokAPI.cache.getStats()
+          }, null, 2)
+        }]
+      };
     } catch (error) {
-      console.error("Failed to initialize Grok API:", error.message);
-      process.exit(1);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: error.message,
+            status: 'failed',
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }],
+        isError: true
+      };
     }
   }
 
-  async handleSearch(toolName, args) {
-    this.requestCount++;
+  async handleCacheAdmin(args) {
     try {
-      const { 
-        query, 
-        max_results = 10, 
-        search_type = "web", 
-        analysis_mode = "basic",
-        handles, 
-        from_date, 
-        to_date 
-      } = args;
-      
-      if (!query || query.trim().length === 0) {
-        throw new Error("Search query is required and cannot be empty");
-      }
+      const { action, pattern, search_type, ids, all = false, include_pinned = false } = args;
+      const cache = this.grokAPI.cache;
+      const filters = { pattern, searchType: search_type, ids };
+      const hasFilter = !!(pattern || search_type || (ids && ids.length > 0));
+      let result;
 
-      // Determine search type based on tool name
-      let actualSearchType = search_type;
-      let searchHandles = handles;
-      
-      if (toolName === "grok_web_search") {
-        actualSearchType = "web";
-      } else if (toolName === "grok_news_search") {
-        actualSearchType = "news";
-      } else if (toolName === "grok_twitter") {
-        actualSearchType = "twitter";
-        searchHandles = handles;
+      switch (action) {
+        case "list": {
+          const entries = cache.list(filters);
+          result = { action, count: entries.length, entries };
+          break;
+        }
+        case "purge":
+          if (!all && !hasFilter) {
+            throw new Error("purge requires pattern, search_type, ids, or all: true");
+          }
+          result = { action, removed: cache.invalidate({ ...filters, all, includePinned: include_pinned }) };
+          break;
+        case "pin":
+        case "unpin":
+          if (!hasFilter) {
+            throw new Error(`${action} requires pattern, search_type, or ids`);
+          }
+          result = { action, changed: cache.setPinned(filters, action === "pin") };
+          break;
+        default:
+          throw new Error("action must be one of: list, purge, pin, unpin");
       }
 
-      // Call search with date parameters and analysis mode
-      const results = await this.grokAPI.search(
-        query.trim(), 
-        actualSearchType, 
-        max_results, 
-        searchHandles, 
-        from_date, 
-        to_date,
-        analysis_mode
-      );
-      
       return {
         content: [{
           type: "text",
-          text: JSON.stringify(results, null, 2)
+          text: JSON.stringify({ ...result, cache: cache.getStats() }, null, 2)
         }]
       };
+    } catch (error) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: error.message,
+            status: 'failed',
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
 
+  async handleListModels(args) {
+    try {
+      const { models, fetchedAt, cached } = await this.grokAPI.listModels(args.refresh === true);
+      const available = new Set(models.map(model => model.id));
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            default_model: this.profile.model,
+            allowed_models: this.config.allowedModels,
+            ...(this.config.allowedModels && {
+              unavailable_allowed_models: this.config.allowedModels.filter(model => !available.has(model))
+            }),
+            count: models.length,
+            models: models.map(model => ({ ...model, allowed: this.config.isModelAllowed(model.id) })),
+            fetched_at: new Date(fetchedAt).toISOString(),
+            cached
+          }, null, 2)
+        }]
+      };
     } catch (error) {
-      this.errorCount++;
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
             error: error.message,
+            ...(error.code && { error_code: error.code }),
             status: 'failed',
-            query: args.query || "unknown",
-            search_type: args.search_type || "web",
-            analysis_mode: args.analysis_mode || "basic",
-            from_date: args.from_date || null,
-            to_date: args.to_date || null,
-            timestamp: new Date().toISOString(),
-            request_id: `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+            timestamp: new Date().toISOString()
           }, null, 2)
         }],
         isError: true
@@ -891,6 +5756,15 @@ class GrokSearchServer {
     }
   }
 
+  handleMetrics() {
+    return {
+      content: [{
+        type: "text",
+        text: renderMetrics(this.grokAPI)
+      }]
+    };
+  }
+
   async handleHealthCheck() {
     try {
       const apiHealth = this.grokAPI.checkHealth();
@@ -906,9 +5780,23 @@ class GrokSearchServer {
         total_requests: this.requestCount,
         error_count: this.errorCount,
         success_rate: successRate,
+        transport: this.getTransportStatus(),
+        profile: {
+          active: this.profile.name,
+          available: this.config.names(),
+          config_files: this.config.files,
+          model: this.profile.model,
+          allowed_models: this.config.allowedModels,
+          excluded_websites: this.config.excludedWebsites
+        },
         api_details: {
           hasApiKey: apiHealth.hasApiKey,
           cacheSize: apiHealth.cacheSize,
+          cache: apiHealth.cache,
+          api_keys: apiHealth.apiKeys,
+          queue: apiHealth.queue,
+          circuit: apiHealth.circuit,
+          usage: apiHealth.usage,
           lastError: apiHealth.lastError
         }
       };
@@ -935,37 +5823,61 @@ class GrokSearchServer {
   }
 }
 
-// Create and configure server
-const server = new Server(
-  {
-    name: "grok-search-mcp",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+async function dispatchToolCall(grokSearchServer, name, args, extra) {
+  if (!grokSearchServer.isToolEnabled(name)) {
+    return {
+      content: [{
+        type: "text",
+        text: `Tool ${name} is disabled by profile "${grokSearchServer.profile.name}"`
+      }],
+      isError: true
+    };
+  }
+
+  if (["grok_search", "grok_web_search", "grok_news_search", "grok_twitter"].includes(name)) {
+    return await grokSearchServer.handleSearch(name, args, extra);
   }
-);
 
-const grokSearchServer = new GrokSearchServer();
+  if (name === "grok_batch_search") {
+    return await grokSearchServer.handleBatchSearch(args, extra);
+  }
 
-// Set up request handlers
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: GROK_SEARCH_TOOLS,
-}));
+  if (name === "grok_follow_up") {
+    return await grokSearchServer.handleFollowUp(args, extra);
+  }
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-  
-  if (["grok_search", "grok_web_search", "grok_news_search", "grok_twitter"].includes(name)) {
-    return await grokSearchServer.handleSearch(name, args || {});
+  if (name === "list_sessions") {
+    return grokSearchServer.handleListSessions();
   }
-  
+
+  if (name === "close_session") {
+    return grokSearchServer.handleCloseSession(args);
+  }
+
+  if (name === "grok_deep_research") {
+    return await grokSearchServer.handleDeepResearch(args, extra);
+  }
+
   if (name === "health_check") {
     return await grokSearchServer.handleHealthCheck();
   }
 
+  if (name === "cache_invalidate") {
+    return await grokSearchServer.handleCacheInvalidate(args);
+  }
+
+  if (name === "cache_admin") {
+    return await grokSearchServer.handleCacheAdmin(args);
+  }
+
+  if (name === "list_models") {
+    return await grokSearchServer.handleListModels(args);
+  }
+
+  if (name === "metrics") {
+    return grokSearchServer.handleMetrics();
+  }
+
   return {
     content: [{
       type: "text",
@@ -973,7 +5885,66 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }],
     isError: true
   };
-});
+}
+
+// Create an MCP server wired to one GrokSearchServer instance
+function createMcpServer(grokSearchServer) {
+  const server = new Server(
+    {
+      name: "grok-search-mcp",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {
+          listChanged: true
+        },
+        prompts: {},
+      },
+    }
+  );
+
+  grokSearchServer.onHistoryChange = () => server.sendResourceListChanged();
+
+  // Set up request handlers
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: GROK_SEARCH_TOOLS.filter(tool => grokSearchServer.isToolEnabled(tool.name)),
+  }));
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () =>
+    grokSearchServer.handleListResources()
+  );
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () =>
+    grokSearchServer.handleListResourceTemplates()
+  );
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) =>
+    grokSearchServer.handleReadResource(request.params.uri)
+  );
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: grokSearchServer.prompts.list(),
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+    grokSearchServer.prompts.get(request.params.name, request.params.arguments || {})
+  );
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const startedAt = Date.now();
+    const result = await dispatchToolCall(grokSearchServer, name, args || {}, extra);
+
+    const tool = GROK_SEARCH_TOOLS.some(definition => definition.name === name) ? name : "unknown";
+    metrics.inc("grok_tool_requests_total", { tool, status: result.isError ? "error" : "success" });
+    metrics.observe("grok_tool_duration_seconds", { tool }, (Date.now() - startedAt) / 1000);
+    return result;
+  });
+
+  return server;
+}
 
 // Check for help flag
 if (process.argv.includes('--help') || process.argv.includes('-h')) {
@@ -985,6 +5956,11 @@ USAGE:
 
 OPTIONS:
   --help, -h    Show this help message
+  --http        Serve Streamable HTTP instead of stdio
+  --host <host> HTTP bind address (default: 127.0.0.1)
+  --port <port> HTTP port (default: 3000)
+  --profile <name> Config profile to use (default: GROK_PROFILE or the config's default_profile)
+  --config <file>  Project config file (default: ./grok-search.config.json)
 
 DESCRIPTION:
   MCP server providing comprehensive web search capabilities using xAI's Grok API.
@@ -993,15 +5969,79 @@ DESCRIPTION:
 
 ENVIRONMENT VARIABLES:
   XAI_API_KEY          Required: Your xAI API key from https://console.x.ai/
+  XAI_API_KEYS         Optional: Comma-separated pool of API keys (replaces XAI_API_KEY)
+  XAI_API_KEYS_FILE    Optional: File with one API key per line, added to the pool
+  XAI_API_KEY_STRATEGY Optional: round-robin or least-used (default: round-robin)
+  XAI_API_KEY_COOLDOWN Optional: Seconds a rate-limited key rests without Retry-After (default: 60)
   GROK_TIMEOUT         Optional: Request timeout in ms (default: 30000)
   GROK_MAX_RETRIES     Optional: Max retry attempts (default: 3)
+  GROK_BASE_URL        Optional: API base URL, overriding the config's base_url (default: https://api.x.ai/v1)
+  GROK_CACHE_DIR       Optional: Directory for the persistent search cache
+  GROK_CACHE_MAX_BYTES Optional: Cache size limit in bytes (default: 10485760)
+  GROK_CACHE_MAX_ENTRIES Optional: Max cached entries before LRU eviction (default: 100)
+  GROK_CACHE_TTLS      Optional: Cache TTLs in minutes per search type
+                       (default: news=10,twitter=5,web=60,general=15,historical=1440)
+  GROK_HISTORY_SIZE    Optional: Past searches kept as resources (default: 50)
+  GROK_PROMPTS_DIR     Optional: Directory of custom prompt templates (*.json)
+  GROK_STRUCTURED_OUTPUT Optional: Request schema-constrained JSON output (true/false, default: false)
+  GROK_USAGE_FILE      Optional: File for usage totals (default: <GROK_CACHE_DIR>/usage/usage.json)
+  GROK_PRICE_INPUT_PER_M Optional: USD per million prompt tokens (default: 3)
+  GROK_PRICE_OUTPUT_PER_M Optional: USD per million completion tokens (default: 15)
+  GROK_PRICE_PER_SOURCE Optional: USD per live search source used (default: 0.025)
+  GROK_BUDGET_DAILY_USD Optional: Daily spending limit in USD
+  GROK_BUDGET_MONTHLY_USD Optional: Monthly spending limit in USD
+  GROK_BUDGET_ACTION   Optional: downgrade (comprehensive to basic) or reject (default: downgrade)
+  GROK_CIRCUIT_THRESHOLD Optional: Consecutive upstream failures before failing fast (default: 5)
+  GROK_CIRCUIT_RESET   Optional: Seconds before a half-open probe is allowed (default: 30)
+  GROK_RATE_LIMIT_RPM  Optional: API requests per minute, 0 to disable (default: 60)
+  GROK_RATE_LIMIT_BURST Optional: Requests allowed back to back (default: 10)
+  GROK_MAX_CONCURRENT  Optional: Max API requests in flight (default: 4)
+  GROK_MAX_QUEUE       Optional: Max requests waiting for a slot (default: 100)
+  GROK_EXCLUDED_WEBSITES Optional: Comma-separated domains excluded from every web and news search (max 5)
+  GROK_SESSION_TOKEN_BUDGET Optional: Estimated tokens of earlier turns sent with a session search (default: 8000)
+  GROK_SESSION_TTL     Optional: Minutes before an idle conversation session expires (default: 60)
+  GROK_MAX_SESSIONS    Optional: Maximum open conversation sessions (default: 20)
+  GROK_RESEARCH_MAX_STEPS Optional: Default search steps for grok_deep_research (default: 6)
+  GROK_RESEARCH_TOKEN_BUDGET Optional: Default token budget for grok_deep_research (default: 60000)
+  GROK_METRICS_PORT    Optional: Serve Prometheus metrics on http://GROK_METRICS_HOST:<port>/metrics
+  GROK_METRICS_HOST    Optional: Metrics endpoint bind address (default: 127.0.0.1)
+  GROK_PROFILE         Optional: Config profile to use
+  GROK_CONFIG_FILE     Optional: Project config file (default: ./grok-search.config.json)
+  GROK_USER_CONFIG     Optional: User config file (default: ~/.config/grok-search/config.json)
+  GROK_MODEL           Optional: Default model (default: the config's default_model or grok-3-latest)
+  GROK_ALLOWED_MODELS  Optional: Comma-separated models callers may pick with the model argument
+  GROK_TRANSPORT       Optional: stdio or http (default: stdio)
+  GROK_HTTP_HOST       Optional: HTTP bind address (default: 127.0.0.1)
+  GROK_HTTP_PORT       Optional: HTTP port (default: 3000)
+  GROK_HTTP_TOKENS     Optional: Comma-separated bearer tokens accepted from HTTP callers
+                       (required when binding to a non-loopback address)
+  GROK_HTTP_SESSION_TTL Optional: Minutes before an idle HTTP session is closed (default: 30)
 
 TOOLS PROVIDED:
   - grok_search        General search with configurable types
   - grok_web_search    Web content search
   - grok_news_search   News and current events
-  - grok_twitter       Twitter/X posts search
+  - grok_twitter       Twitter/X posts search with handle and engagement filters
+  - grok_batch_search  Several searches at once with merged results
+  - grok_deep_research Multi-step research with a synthesized report
+  - grok_follow_up     Continue a conversation session
+  - list_sessions      Open conversation sessions
+  - close_session      Close a conversation session
   - health_check       Server health diagnostics
+  - cache_invalidate   Invalidate cached search results
+  - cache_admin        List, purge and pin cache entries
+  - list_models        Models offered by the API
+  - metrics            Prometheus metrics export
+
+PROMPTS PROVIDED:
+  - handle_digest               Digest of recent posts from an X handle
+  - breaking_news_briefing      Briefing on a developing story
+  - topic_comparison            Side-by-side comparison of two topics
+  - date_bounded_retrospective  How a topic developed within a date range
+
+RESOURCES PROVIDED:
+  - grok://search/{id}           Full JSON of a completed search
+  - grok://search/{id}/markdown  Markdown rendering of a completed search
 
 For setup instructions, visit: https://github.com/stat-guy/grok-search-mcp
 
@@ -1010,14 +6050,207 @@ For setup instructions, visit: https://github.com/stat-guy/grok-search-mcp
   process.exit(0);
 }
 
+const HTTP_MCP_PATH = "/mcp";
+const MAX_HTTP_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+
+function getCliOption(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function parseBearerTokens(spec) {
+  return (spec || "").split(",").map(token => token.trim()).filter(Boolean);
+}
+
+// Compare digests so neither the token contents nor its length leak through timing
+function isAuthorizedRequest(req, tokens) {
+  if (tokens.length === 0) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!match) return false;
+  const presented = crypto.createHash('sha256').update(match[1].trim()).digest();
+  return tokens.some(token =>
+    crypto.timingSafeEqual(presented, crypto.createHash('sha256').update(token).digest()));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_HTTP_BODY_BYTES) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(Object.assign(new Error("Parse error: request body is not valid JSON"), { status: 400, code: -32700 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendHttpError(res, status, message, code = ErrorCode.InvalidRequest, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+// Streamable HTTP server. Every MCP session gets its own Server and
+// GrokSearchServer (history, resources, counters) while the API client,
+// cache and prompt library are shared by all callers.
+async function runHttpServer() {
+  const host = getCliOption('--host') || process.env.GROK_HTTP_HOST || "127.0.0.1";
+  const port = parseInt(getCliOption('--port') ?? process.env.GROK_HTTP_PORT ?? '3000');
+  const tokens = parseBearerTokens(process.env.GROK_HTTP_TOKENS);
+  const sessionTtlMs = Number(process.env.GROK_HTTP_SESSION_TTL || '30') * 60 * 1000;
+
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port: ${getCliOption('--port') ?? process.env.GROK_HTTP_PORT}`);
+  }
+  if (!Number.isFinite(sessionTtlMs) || sessionTtlMs <= 0) {
+    throw new Error(`Invalid GROK_HTTP_SESSION_TTL: ${process.env.GROK_HTTP_SESSION_TTL} (expected a positive number of minutes)`);
+  }
+  if (tokens.length === 0 && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(`GROK_HTTP_TOKENS is required when binding to ${host}`);
+  }
+
+  const config = new ConfigProfiles();
+  const grokAPI = new GrokSearchAPI({ baseURL: config.baseURL });
+  const prompts = new PromptLibrary(process.env.GROK_PROMPTS_DIR || null);
+  // Fail at startup rather than in every session if the profile is unknown
+  const profileName = config.get(resolveProfileName(config)).name;
+  const sessions = new Map();
+  startMetricsEndpoint(grokAPI);
+
+  const createSession = async () => {
+    const session = { lastSeen: Date.now() };
+    session.grokSearchServer = new GrokSearchServer({
+      grokAPI,
+      prompts,
+      config,
+      profileName,
+      getTransportStatus: () => ({
+        type: "http",
+        session_id: session.transport.sessionId,
+        active_sessions: sessions.size
+      })
+    });
+    session.server = createMcpServer(session.grokSearchServer);
+    session.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, session);
+        Logger.info("HTTP session opened", { sessionId, activeSessions: sessions.size });
+      }
+    });
+    session.transport.onclose = () => {
+      if (session.transport.sessionId && sessions.delete(session.transport.sessionId)) {
+        Logger.info("HTTP session closed", { sessionId: session.transport.sessionId, activeSessions: sessions.size });
+      }
+    };
+    await session.server.connect(session.transport);
+    return session;
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (pathname !== HTTP_MCP_PATH && pathname !== "/metrics") {
+        sendHttpError(res, 404, `Not found: use ${HTTP_MCP_PATH}`);
+        return;
+      }
+      if (!isAuthorizedRequest(req, tokens)) {
+        sendHttpError(res, 401, "Unauthorized: missing or invalid bearer token", ErrorCode.InvalidRequest,
+          { "WWW-Authenticate": 'Bearer realm="grok-search-mcp"' });
+        return;
+      }
+
+      if (pathname === "/metrics") {
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+        res.end(renderMetrics(grokAPI));
+        return;
+      }
+
+      const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+      const sessionId = req.headers['mcp-session-id'];
+
+      if (sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+          sendHttpError(res, 404, "Session not found");
+          return;
+        }
+        session.lastSeen = Date.now();
+        await session.transport.handleRequest(req, res, body);
+        return;
+      }
+
+      if (req.method !== 'POST' || !isInitializeRequest(body)) {
+        sendHttpError(res, 400, "Bad Request: no session ID provided and request is not an initialize request");
+        return;
+      }
+
+      const session = await createSession();
+      await session.transport.handleRequest(req, res, body);
+    } catch (error) {
+      Logger.error("HTTP request failed", { error: error.message });
+      sendHttpError(res, error.status || 500, error.message, error.code || ErrorCode.InternalError);
+    }
+  });
+
+  const sweepTimer = setInterval(() => {
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const session of sessions.values()) {
+      if (session.lastSeen < cutoff) {
+        Logger.info("Closing idle HTTP session", { sessionId: session.transport.sessionId });
+        session.transport.close().catch(() => {});
+      }
+    }
+  }, Math.min(sessionTtlMs, 60000));
+  sweepTimer.unref();
+
+  const shutdown = async () => {
+    clearInterval(sweepTimer);
+    await Promise.allSettled([...sessions.values()].map(session => session.transport.close()));
+    httpServer.close(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const address = httpServer.address();
+  const displayHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+  console.error(`Grok Search MCP Server listening on http://${displayHost}:${address.port}${HTTP_MCP_PATH}`);
+  if (tokens.length === 0) {
+    Logger.warn("HTTP transport running without authentication; set GROK_HTTP_TOKENS to require bearer tokens");
+  }
+}
+
 // Run the server
 async function runServer() {
   const transport = new StdioServerTransport();
+  const grokSearchServer = new GrokSearchServer();
+  const server = createMcpServer(grokSearchServer);
+  startMetricsEndpoint(grokSearchServer.grokAPI);
   await server.connect(transport);
   console.error("Grok Search MCP Server running on stdio");
 }
 
-runServer().catch((error) => {
+const useHttp = process.argv.includes('--http') || (process.env.GROK_TRANSPORT || '').toLowerCase() === 'http';
+
+(useHttp ? runHttpServer() : runServer()).catch((error) => {
   Logger.error("Fatal error running server", { error: error.message });
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,521 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+// Local stand-in for the xAI /chat/completions and /models endpoints.
+//
+// The scenario for a request is picked from a "mock:<scenario>" token in the
+// search prompt (e.g. a search for "ai news mock:prose"). Requests without
+// a token get the "json" scenario. Requests with "stream": true receive the
+// same completion as server-sent events. Responses are fully scripted so runs
+// are deterministic and need no network access.
+//
+// Research planning requests (a system prompt asking for "sub_questions") get
+// a three-step plan. Requests with search turned off get no citations.
+//
+// API keys starting with "mock-revoked" get 401 and keys starting with
+// "mock-exhausted" get 429 on every request, for exercising key failover.
+
+export const MOCK_SCENARIOS = [
+  'json',           // Bare JSON object in the basic or comprehensive schema
+  'fenced-json',    // JSON wrapped in prose and a ```json fence
+  'prose',          // Plain text with no JSON at all
+  'rate-limit',     // 429 with Retry-After once per prompt, then JSON
+  'server-error',   // Burst of 503s per prompt, then JSON
+  'server-down',    // 503 on every request
+  'slow',           // JSON after a delay (see slowMs)
+  'bad-citations',  // JSON with malformed citation URLs
+  'duplicate-citations', // JSON citing the same pages under several URL spellings
+  'x-posts',        // JSON with X post results: one verified, one wrong author, one from 2024
+  'broken-stream',  // 200 whose stream is cut off after the first chunk (non-streaming requests get JSON)
+  'malformed-chunk', // Stream with one unparseable chunk among valid ones (non-streaming requests get JSON)
+  'prose-synthesis', // Deep research whose final synthesis reply is plain text; plan and steps get JSON
+  'schema-violation' // JSON with wrong field types and values; valid once re-asked
+];
+
+const MOCK_CREATED = 1750766400; // 2025-06-24T12:00:00Z
+const STREAM_CHUNK_CHARS = 16;
+const MOCK_DATE = '2025-06-24';
+
+const MOCK_CITATIONS = [
+  'https://example.com/news/grok-search-1',
+  'https://news.example.org/articles/grok-search-2',
+  'https://x.com/example/status/1937500000000000000'
+];
+
+export const MOCK_MODELS = ['grok-3', 'grok-3-latest', 'grok-3-mini', 'grok-3-fast'];
+
+// The three MOCK_CITATIONS pages as tracking, http, AMP and twitter.com variants
+const DUPLICATE_CITATIONS = [
+  'https://example.com/news/grok-search-1?utm_source=feed&utm_medium=rss',
+  'http://www.example.com/news/grok-search-1/',
+  'https://news.example.org/articles/grok-search-2',
+  'https://twitter.com/Example/status/1937500000000000000?s=20',
+  'https://news.example.org/articles/grok-search-2/amp',
+  'https://x.com/example/status/1937500000000000000'
+];
+
+// Status IDs 1937500000000000000 and ...001 date from 2025-06-24, 1800000000000000000 from 2024-06-10
+// The first result gives the lowercased form of the URL the API cited
+const X_POST_RESULTS = [
+  { url: 'https://x.com/atrupar/status/1937500000000000000', author: 'Aaron Rupar (@atrupar)' },
+  { url: 'https://x.com/atrupar/status/1937500000000000001', author: '@someone_else' },
+  { url: 'https://x.com/atrupar/status/1800000000000000000', author: 'tips@example.com' }
+];
+const X_POST_CITATIONS = [
+  'https://twitter.com/ATrupar/status/1937500000000000000/photo/1?s=20',
+  ...X_POST_RESULTS.slice(1).map(result => result.url)
+];
+
+const MALFORMED_CITATIONS = [
+  'not a url',
+  '',
+  'https://example.com/valid/path',
+  'ht!tp://broken',
+  null
+];
+
+// The search prompt is the latest user message asking for a search; earlier
+// ones belong to previous turns of a conversation session, and later user
+// messages are structured output repair requests
+function isSearchPrompt(message) {
+  return message.role === 'user' && typeof message.content === 'string' &&
+    message.content.startsWith('Please search for: ');
+}
+
+function getSearchMessage(body) {
+  const messages = Array.isArray(body?.messages) ? body.messages : [];
+  const search = messages.filter(isSearchPrompt).pop() || messages.find(message => message.role === 'user');
+  return typeof search?.content === 'string' ? search.content : '';
+}
+
+function isRepairRequest(body) {
+  const messages = Array.isArray(body?.messages) ? body.messages : [];
+  const last = messages[messages.length - 1];
+  return messages.some(message => message.role === 'assistant') && !!last && !isSearchPrompt(last);
+}
+
+function getScenario(userMessage) {
+  const match = userMessage.match(/\bmock:([a-z0-9-]+)/);
+  if (match && MOCK_SCENARIOS.includes(match[1])) {
+    return match[1];
+  }
+  return 'json';
+}
+
+function getQuery(userMessage) {
+  const match = userMessage.match(/Please search for: "([\s\S]*)" and return/);
+  return match ? match[1] : userMessage;
+}
+
+function isPlanningRequest(body) {
+  const systemMessage = (body?.messages || []).find(message => message.role === 'system');
+  return typeof systemMessage?.content === 'string' && systemMessage.content.includes('"sub_questions"');
+}
+
+function buildPlanPayload(userMessage) {
+  const query = userMessage.match(/Research question: "([\s\S]*)"/)?.[1] || userMessage;
+  return {
+    sub_questions: [
+      { question: `${query} background`, source: 'web', rationale: 'Scripted background step' },
+      { question: `${query} latest reporting`, source: 'news', rationale: 'Scripted news step' },
+      { question: `${query} reactions`, source: 'x', rationale: 'Scripted reactions step' }
+    ]
+  };
+}
+
+function isSynthesisRequest(body) {
+  return getSearchMessage(body).includes('Research notes (one entry per research step)');
+}
+
+function isComprehensive(body) {
+  const systemMessage = (body?.messages || []).find(message => message.role === 'system');
+  return typeof systemMessage?.content === 'string' &&
+    systemMessage.content.includes('"analysis_mode": "comprehensive"');
+}
+
+function buildBasicPayload(query, count) {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    const url = MOCK_CITATIONS[i % MOCK_CITATIONS.length];
+    results.push({
+      title: `Mock result ${i + 1} for ${query}`,
+      snippet: `Scripted snippet ${i + 1} describing ${query}.`,
+      url,
+      source: new URL(url).hostname,
+      published_date: MOCK_DATE,
+      author: `Mock Author ${i + 1}`
+    });
+  }
+  return {
+    results,
+    summary: `Scripted summary for ${query}`
+  };
+}
+
+function buildComprehensivePayload(query, count) {
+  return {
+    query,
+    analysis_mode: 'comprehensive',
+    comprehensive_analysis: `Scripted comprehensive analysis for ${query}. `.repeat(5).trim(),
+    key_findings: [
+      {
+        category: 'main_story',
+        title: `Main story for ${query}`,
+        content: 'Scripted finding content with a date (2025-06-24) and a number (42).',
+        sources: [MOCK_CITATIONS[0]],
+        confidence: 'high'
+      },
+      {
+        category: 'context',
+        title: 'Background',
+        content: 'Scripted background context.',
+        sources: [MOCK_CITATIONS[1]],
+        confidence: 'medium'
+      }
+    ],
+    timeline: [
+      {
+        date: '2025-06-20',
+        event: 'Initial scripted event',
+        source: 'example.com',
+        significance: 'Marks the start of the story'
+      },
+      {
+        date: MOCK_DATE,
+        event: 'Latest scripted event',
+        source: 'news.example.org',
+        significance: 'Most recent development'
+      }
+    ],
+    direct_quotes: [
+      {
+        quote: 'This is a scripted quote.',
+        speaker: 'Mock Speaker, Spokesperson',
+        context: 'Scripted press briefing',
+        source_url: MOCK_CITATIONS[1],
+        significance: 'Clarifies the official position'
+      }
+    ],
+    related_context: 'Scripted historical context.',
+    multiple_perspectives: [
+      {
+        viewpoint: 'Supporters',
+        content: 'Supporters welcome the development.',
+        sources: [MOCK_CITATIONS[0]],
+        reasoning: 'Scripted reasoning'
+      },
+      {
+        viewpoint: 'Critics',
+        content: 'Critics question the timing.',
+        sources: [MOCK_CITATIONS[2]],
+        reasoning: 'Scripted reasoning'
+      }
+    ],
+    implications: {
+      short_term: 'Scripted short-term implications',
+      long_term: 'Scripted long-term implications',
+      stakeholders_affected: ['Group 1', 'Group 2']
+    },
+    verification_status: {
+      confirmed_facts: ['Scripted confirmed fact'],
+      unconfirmed_claims: ['Scripted unconfirmed claim'],
+      contradictory_information: []
+    },
+    raw_results: buildBasicPayload(query, count).results.map((result, index) => ({
+      title: result.title,
+      snippet: result.snippet,
+      url: result.url,
+      relevance_score: 10 - index
+    })),
+    summary: `Scripted executive summary for ${query}`,
+    total_results: count,
+    search_time: `${MOCK_DATE}T12:00:00.000Z`,
+    source: 'grok-comprehensive-analysis'
+  };
+}
+
+// Breaks field types and enum values the way a sloppy model answer would
+function applySchemaViolations(payload) {
+  if (payload.analysis_mode === 'comprehensive') {
+    payload.key_findings[0].confidence = 'very high';
+    payload.key_findings[1].category = 'headline';
+    payload.timeline[0].date = 'last Tuesday';
+    payload.raw_results[0].relevance_score = '9';
+    delete payload.verification_status;
+  } else {
+    payload.results[0].published_date = 'June 24, 2025';
+    payload.results[0].title = 42;
+    delete payload.summary;
+  }
+  return payload;
+}
+
+function buildContent(scenario, body, query) {
+  if (isPlanningRequest(body)) {
+    return JSON.stringify(buildPlanPayload(getSearchMessage(body)));
+  }
+  if (scenario === 'prose-synthesis' && isSynthesisRequest(body)) {
+    return 'The research notes point in several directions, but this scripted synthesis has no structured report.';
+  }
+
+  const count = Math.min(Math.max(body?.search_parameters?.max_search_results || 3, 1), 3);
+  const payload = isComprehensive(body) ?
+    buildComprehensivePayload(query, count) :
+    buildBasicPayload(query, count);
+
+  if (scenario === 'schema-violation' && !isRepairRequest(body)) {
+    applySchemaViolations(payload);
+  }
+  // Results cite variant URLs, and one has no URL so it maps by position
+  if (scenario === 'duplicate-citations' && payload.results) {
+    payload.results[0].url = DUPLICATE_CITATIONS[0];
+    if (payload.results[1]) delete payload.results[1].url;
+    if (payload.results[2]) payload.results[2].url = DUPLICATE_CITATIONS[3];
+  }
+  if (scenario === 'x-posts' && payload.results) {
+    payload.results.forEach((result, index) => Object.assign(result, X_POST_RESULTS[index % X_POST_RESULTS.length]));
+  }
+
+  switch (scenario) {
+    case 'fenced-json':
+      return `Here are the search results you asked for:\n\n\`\`\`json\n${JSON.stringify(payload, null, 2)}\n\`\`\`\n\nLet me know if you need more.`;
+    case 'prose':
+      return `I searched for ${query} and found several relevant sources. ` +
+        'The coverage is mostly consistent, but no structured data is available for this scripted reply.';
+    default:
+      return JSON.stringify(payload);
+  }
+}
+
+function buildCompletion(scenario, body, query, requestNumber) {
+  const content = buildContent(scenario, body, query);
+  const citations = body?.search_parameters?.mode === 'off' ? [] :
+    scenario === 'bad-citations' ? MALFORMED_CITATIONS :
+    scenario === 'duplicate-citations' ? DUPLICATE_CITATIONS :
+    scenario === 'x-posts' ? X_POST_CITATIONS :
+    MOCK_CITATIONS;
+  const promptTokens = JSON.stringify(body?.messages || []).length >> 2;
+  const completionTokens = content.length >> 2;
+
+  return {
+    id: `mock-completion-${requestNumber}`,
+    object: 'chat.completion',
+    created: MOCK_CREATED,
+    model: body?.model || 'grok-3-latest',
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }
+    ],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      num_sources_used: citations.length
+    },
+    citations
+  };
+}
+
+// Splits a completion into SSE chunks the way the real API streams them:
+// role first, small content deltas, then a final chunk with usage and citations.
+// With malformedChunk, a chunk that is not valid JSON follows the role chunk.
+function sendStream(res, completion, { malformedChunk = false } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const base = {
+    id: completion.id,
+    object: 'chat.completion.chunk',
+    created: completion.created,
+    model: completion.model
+  };
+  const writeChunk = (choice, extra = {}) => {
+    res.write(`data: ${JSON.stringify({ ...base, choices: [{ index: 0, ...choice }], ...extra })}\n\n`);
+  };
+
+  const content = completion.choices[0].message.content;
+  writeChunk({ delta: { role: 'assistant' }, finish_reason: null });
+  if (malformedChunk) {
+    res.write('data: {"id":"chatcmpl-malformed","choices":[{"delta":\n\n');
+  }
+  for (let i = 0; i < content.length; i += STREAM_CHUNK_CHARS) {
+    writeChunk({ delta: { content: content.slice(i, i + STREAM_CHUNK_CHARS) }, finish_reason: null });
+  }
+  writeChunk({ delta: {}, finish_reason: 'stop' }, {
+    usage: completion.usage,
+    citations: completion.citations
+  });
+  res.end('data: [DONE]\n\n');
+}
+
+function sendJSON(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, headers = {}) {
+  sendJSON(res, status, { error: message, code: status }, headers);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(raw));
+    req.on('error', reject);
+  });
+}
+
+export function createMockXAIServer(options = {}) {
+  const slowMs = options.slowMs ?? 3000;
+  const burstLength = options.burstLength ?? 2;
+  const retryAfterSeconds = options.retryAfterSeconds ?? 1;
+
+  // Per-prompt attempt counters so rate-limit and 5xx bursts recover
+  const attempts = new Map();
+  const requests = [];
+  const modelRequests = [];
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const path = req.url.split('?')[0].replace(/\/+$/, '');
+
+      const isModels = req.method === 'GET' && path === '/v1/models';
+      if (!isModels && (req.method !== 'POST' || path !== '/v1/chat/completions')) {
+        sendError(res, 404, `No mock route for ${req.method} ${req.url}`);
+        return;
+      }
+
+      const apiKey = /^Bearer (\S+)/.exec(req.headers.authorization || '')?.[1];
+      if (!apiKey || apiKey.startsWith('mock-revoked')) {
+        sendError(res, 401, 'Missing or invalid Authorization header');
+        return;
+      }
+      if (apiKey.startsWith('mock-exhausted')) {
+        sendError(res, 429, 'Quota exhausted for this key', { 'Retry-After': String(retryAfterSeconds) });
+        return;
+      }
+
+      if (isModels) {
+        modelRequests.push({ headers: req.headers });
+        sendJSON(res, 200, {
+          object: 'list',
+          data: MOCK_MODELS.map(id => ({ id, object: 'model', created: MOCK_CREATED, owned_by: 'xai' }))
+        });
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (error) {
+        sendError(res, 400, `Invalid JSON body: ${error.message}`);
+        return;
+      }
+
+      const searchMessage = getSearchMessage(body);
+      const scenario = getScenario(searchMessage);
+      const query = getQuery(searchMessage);
+      const attempt = (attempts.get(searchMessage) || 0) + 1;
+      attempts.set(searchMessage, attempt);
+      requests.push({ scenario, query, attempt, body, headers: req.headers });
+
+      switch (scenario) {
+        case 'rate-limit':
+          if (attempt === 1) {
+            sendError(res, 429, 'Rate limit exceeded', { 'Retry-After': String(retryAfterSeconds) });
+            return;
+          }
+          break;
+        case 'server-error':
+          if (attempt <= burstLength) {
+            sendError(res, 503, 'Service temporarily unavailable');
+            return;
+          }
+          break;
+        case 'server-down':
+          sendError(res, 503, 'Service unavailable');
+          return;
+        case 'slow':
+          await new Promise(resolve => setTimeout(resolve, slowMs));
+          if (res.destroyed) return;
+          break;
+        case 'broken-stream':
+          if (body.stream) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.write('data: {"id":"chatcmpl-broken","choices":[{"index":0,"delta":{"role":"assistant"}}]}\n\n',
+              () => res.destroy());
+            return;
+          }
+          break;
+      }
+
+      const completion = buildCompletion(scenario, body, query, requests.length);
+      if (body.stream) {
+        sendStream(res, completion, { malformedChunk: scenario === 'malformed-chunk' });
+      } else {
+        sendJSON(res, 200, completion);
+      }
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  });
+
+  server.requests = requests;
+  server.modelRequests = modelRequests;
+  server.reset = () => {
+    attempts.clear();
+    requests.length = 0;
+    modelRequests.length = 0;
+  };
+
+  return server;
+}
+
+export async function startMockXAIServer(options = {}) {
+  const { port = 0, host = '127.0.0.1' } = options;
+  const server = createMockXAIServer(options);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return {
+    server,
+    baseURL: `http://${host}:${address.port}/v1`,
+    requests: server.requests,
+    modelRequests: server.modelRequests,
+    reset: server.reset,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    })
+  };
+}
+
+// Run standalone: node mock-xai-server.js [--port 4010]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = parseInt(portIndex >= 0 ? process.argv[portIndex + 1] : (process.env.MOCK_XAI_PORT || '4010'));
+
+  startMockXAIServer({ port, host: process.env.MOCK_XAI_HOST || '127.0.0.1' })
+    .then(({ baseURL }) => {
+      console.error(`Mock xAI server listening on ${baseURL}`);
+      console.error(`Run the MCP server with GROK_BASE_URL=${baseURL}`);
+    })
+    .catch((error) => {
+      console.error('Failed to start mock xAI server:', error.message);
+      process.exit(1);
+    });
+}